@@ -14,6 +14,7 @@ export default [
                 localStorage: 'readonly',
                 Notification: 'readonly',
                 setTimeout: 'readonly',
+                clearTimeout: 'readonly',
                 setInterval: 'readonly',
                 clearInterval: 'readonly',
                 parseInt: 'readonly',
@@ -22,6 +23,10 @@ export default [
                 caches: 'readonly',
                 fetch: 'readonly',
                 Date: 'readonly',
+                indexedDB: 'readonly',
+                IDBKeyRange: 'readonly',
+                Blob: 'readonly',
+                URL: 'readonly',
             }
         },
         rules: {
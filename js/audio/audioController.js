@@ -3,44 +3,176 @@
    ============================================ */
 
 import * as Tone from 'tone';
-import { createEngine, stopEngine, disposeEngine } from './profileEngine.js';
+import {
+    createEngine,
+    crossfadeEngine,
+    suspendEngine,
+    resumeEngine,
+    disposeEngine,
+    getCurrentEngine,
+    applyEngineParam
+} from './profileEngine.js';
+import {
+    getBaseOutput,
+    startMixerLayers,
+    stopMixerLayers,
+    rampMaster,
+    refreshProfileLayers
+} from './mixer.js';
 import { getDefaultProfile } from './soundProfiles.js';
 import { CONFIG } from '../config.js';
+import { getSettings } from '../settings.js';
 import { setFaviconPlaying, setFaviconPaused, setFaviconDefault } from '../ui/favicon.js';
 
 let isPlaying = false;
+let isPaused = false; // The engine is suspended and can resume where it left off
+let isWindingDown = false;
+let pendingStop = null; // { timer, finish } while the sound fades out
 let currentProfile = getDefaultProfile();
+let editRebuild = null; // Engine rebuild in flight after a profile edit
+let rebuildAgain = false;
 
 /**
- * Set the current sound profile
+ * Finish a pause or stop that is still fading out right away
+ */
+function flushPendingStop() {
+    if (!pendingStop) return;
+
+    clearTimeout(pendingStop.timer);
+    const { finish } = pendingStop;
+    pendingStop = null;
+    finish();
+}
+
+/**
+ * Drop a pause that is still fading out, leaving the engine playing
  */
-export function setProfile(profile) {
-    const wasPlaying = isPlaying;
+function cancelPendingStop() {
+    if (!pendingStop) return;
 
-    // Stop current sound
-    if (isPlaying) {
-        stopGenerativeMusic();
+    clearTimeout(pendingStop.timer);
+    pendingStop = null;
+}
+
+/**
+ * Fade the master output out, then run the pause or stop
+ * @param {Function} finish - Switches the engines off once the sound is silent
+ */
+function fadeOutThen(finish) {
+    flushPendingStop();
+    isWindingDown = false;
+
+    const seconds = getSettings().fadeOutSeconds;
+    if (seconds <= 0) {
+        finish();
+        return;
     }
 
-    // Update profile
+    rampMaster(0, seconds);
+    pendingStop = { finish, timer: setTimeout(flushPendingStop, seconds * 1000) };
+}
+
+/**
+ * Set the current sound profile
+ * While playing, the new profile is built alongside the old one and
+ * crossfaded in, so switching never drops into silence
+ */
+export async function setProfile(profile) {
     currentProfile = profile;
 
-    // Restart if it was playing
-    if (wasPlaying) {
-        startGenerativeMusic();
+    // A paused engine plays the old profile - build the new one on resume
+    if (isPaused) {
+        flushPendingStop();
+        disposeEngine();
+        stopMixerLayers();
+        isPaused = false;
+    }
+    if (!isPlaying) return;
+
+    try {
+        await crossfadeEngine(profile, getBaseOutput(), getSettings().crossfadeSeconds);
+    } catch (error) {
+        console.error('Failed to switch profile:', error);
     }
 }
 
 /**
- * Start the generative music with current profile
+ * Bring the sound in line with a profile whose parameters were edited
+ * Values the engine can take while playing are applied in place,
+ * anything else rebuilds the engine and crossfades to it
+ * @param {Object} profile - The edited profile, its config already updated
+ * @param {string} [path] - The parameter that changed, omitted after a reset
+ */
+export async function applyProfileEdit(profile, path) {
+    // Extra mixer layers can play the profile too, selected or not
+    refreshProfileLayers(profile.id, path);
+    if (profile.id !== currentProfile.id) return;
+
+    const engine = (isPlaying || isPaused) ? getCurrentEngine() : null;
+    if (engine && applyEngineParam(engine, path)) return;
+
+    // Edits made while a rebuild loads are picked up by one more rebuild
+    if (editRebuild) {
+        rebuildAgain = true;
+        return;
+    }
+
+    editRebuild = (async () => {
+        do {
+            rebuildAgain = false;
+            await setProfile(currentProfile);
+        } while (rebuildAgain);
+    })();
+
+    try {
+        await editRebuild;
+    } finally {
+        editRebuild = null;
+    }
+}
+
+/**
+ * Continue a paused engine from where it stopped
+ * @returns {Promise<boolean>} False when there was nothing to resume
+ */
+async function resumeGenerativeMusic() {
+    // Still fading out - the engine never stopped, so just fade back in
+    if (pendingStop) {
+        cancelPendingStop();
+    } else if (!(await resumeEngine())) {
+        return false;
+    }
+
+    rampMaster(1, getSettings().fadeInSeconds);
+    return true;
+}
+
+/**
+ * Start the generative music with current profile, or resume it after a pause
  */
 export async function startGenerativeMusic() {
     if (isPlaying) return;
 
+    isWindingDown = false;
+    if (isPaused) {
+        isPaused = false;
+        if (await resumeGenerativeMusic()) {
+            isPlaying = true;
+            setFaviconPlaying();
+            return `♪ ${currentProfile.name} - ${currentProfile.description}`;
+        }
+    }
+
+    // A fade-out still running from a stop ends now
+    flushPendingStop();
+    rampMaster(0, 0);
+
     try {
-        // Create and start engine for current profile
-        await createEngine(currentProfile);
+        // Create and start engine for current profile, then any mixer layers on top
+        await createEngine(currentProfile, getBaseOutput());
+        await startMixerLayers();
 
+        rampMaster(1, getSettings().fadeInSeconds);
         isPlaying = true;
         setFaviconPlaying();
         return `♪ ${currentProfile.name} - ${currentProfile.description}`;
@@ -51,39 +183,54 @@ export async function startGenerativeMusic() {
 }
 
 /**
- * Pause the generative music (keeps loops alive)
+ * Pause the generative music after fading it out
+ * The engine and mixer layers stay built, so resuming continues the
+ * soundscape instead of starting it over
  */
 export function pauseGenerativeMusic() {
     if (!isPlaying) return;
 
-    // Pause transport instead of stopping
-    Tone.Transport.pause();
-
-    // Stop the engine
-    stopEngine();
+    fadeOutThen(suspendEngine);
 
     isPlaying = false;
+    isPaused = true;
     setFaviconPaused();
     return CONFIG.MESSAGES.MUSIC_PAUSED;
 }
 
 /**
- * Stop the generative music completely
+ * Stop the generative music completely after fading it out
  */
 export function stopGenerativeMusic() {
-    if (!isPlaying) return;
+    if (!isPlaying && !isPaused) return;
 
-    // Stop transport
-    Tone.Transport.stop();
+    fadeOutThen(() => {
+        // Stop transport
+        Tone.Transport.stop();
 
-    // Dispose engine
-    disposeEngine();
+        // Dispose engine
+        disposeEngine();
+        stopMixerLayers();
+    });
 
     isPlaying = false;
+    isPaused = false;
     setFaviconDefault();
     return CONFIG.MESSAGES.MUSIC_STOPPED;
 }
 
+/**
+ * Lower the sound gradually until a focus session ends, so the end
+ * isn't a surprise
+ * @param {number} seconds - Time left in the session
+ */
+export function windDownGenerativeMusic(seconds) {
+    if (!isPlaying || isWindingDown) return;
+
+    isWindingDown = true;
+    rampMaster(CONFIG.AUDIO.WIND_DOWN_LEVEL, seconds);
+}
+
 /**
  * Check if music is currently playing
  */
@@ -0,0 +1,375 @@
+/* ============================================
+   MIXER - Several Sound Profiles at Once
+   ============================================ */
+
+import * as Tone from 'tone';
+import { startEngine, applyEngineParam } from './profileEngine.js';
+import { getProfileById } from './soundProfiles.js';
+import { registerBackupSection } from '../data/backup.js';
+
+const STORAGE_KEY = 'letsfocus_mixer';
+const DEFAULT_LAYER_VOLUME = 60;
+const MAX_PRESET_NAME_LENGTH = 40;
+const GAIN_RAMP_SECONDS = 0.1;
+
+/**
+ * The selected profile always plays as the base layer - extra layers are
+ * other profiles mixed in on top of it
+ */
+export const BASE_LAYER_ID = 'base';
+
+const listeners = [];
+let state = loadMixer();
+
+// Audio nodes and running engines, keyed by layer id
+let masterGain = null;
+const layerGains = new Map();
+const layerEngines = new Map();
+const startingLayers = new Set();
+let isRunning = false;
+
+/**
+ * Keep a layer's settings within range
+ */
+function sanitizeLayer(raw) {
+    const volume = Number(raw?.volume);
+    return {
+        volume: Number.isFinite(volume) ? Math.max(0, Math.min(100, volume)) : DEFAULT_LAYER_VOLUME,
+        muted: raw?.muted === true,
+        soloed: raw?.soloed === true
+    };
+}
+
+/**
+ * Keep only layers for known profiles and well-formed presets
+ */
+function sanitizeMixer(raw) {
+    const layers = Array.isArray(raw?.layers)
+        ? raw.layers
+            .filter((layer) => layer?.id && getProfileById(layer.profileId))
+            .map((layer) => ({
+                id: layer.id,
+                profileId: layer.profileId,
+                enabled: layer.enabled !== false,
+                ...sanitizeLayer(layer)
+            }))
+        : [];
+    const presets = Array.isArray(raw?.presets)
+        ? raw.presets.filter((preset) => preset?.id && typeof preset.name === 'string')
+        : [];
+
+    return {
+        base: sanitizeLayer({ volume: 100, ...raw?.base }),
+        layers,
+        presets
+    };
+}
+
+/**
+ * Load the mix from localStorage
+ */
+function loadMixer() {
+    try {
+        const data = localStorage.getItem(STORAGE_KEY);
+        return sanitizeMixer(data ? JSON.parse(data) : null);
+    } catch (error) {
+        console.warn('Failed to load mixer:', error);
+        return sanitizeMixer(null);
+    }
+}
+
+/**
+ * Persist the mix, apply it to anything playing and notify listeners
+ */
+function commitMixer(next) {
+    state = sanitizeMixer(next);
+
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    } catch (error) {
+        console.warn('Failed to save mixer:', error);
+    }
+
+    applyGains();
+    listeners.forEach((listener) => listener());
+}
+
+/**
+ * Work out how loud a layer should be, taking mute and solo into account
+ */
+function getLayerGain(layer, isSoloActive) {
+    if (layer.enabled === false || layer.muted || (isSoloActive && !layer.soloed)) return 0;
+    // Squared so the slider feels even across its range
+    return (layer.volume / 100) ** 2;
+}
+
+/**
+ * Ramp every layer's gain node to its current setting
+ */
+function applyGains() {
+    const isSoloActive = [state.base, ...state.layers.filter((layer) => layer.enabled)].some((layer) => layer.soloed);
+    layerGains.forEach((gain, id) => {
+        const layer = id === BASE_LAYER_ID ? state.base : state.layers.find((existing) => existing.id === id);
+        gain.gain.rampTo(layer ? getLayerGain(layer, isSoloActive) : 0, GAIN_RAMP_SECONDS);
+    });
+}
+
+/**
+ * Get the master output every layer plays into, created on first use
+ */
+function getMasterGain() {
+    if (!masterGain) {
+        masterGain = new Tone.Gain(1).toDestination();
+    }
+    return masterGain;
+}
+
+/**
+ * Get the gain node a layer plays into, created on first use
+ */
+function getLayerOutput(id) {
+    if (!layerGains.has(id)) {
+        layerGains.set(id, new Tone.Gain(0).connect(getMasterGain()));
+        applyGains();
+    }
+    return layerGains.get(id);
+}
+
+/**
+ * Stop one extra layer and release its audio nodes
+ */
+function disposeLayer(id) {
+    layerEngines.get(id)?.dispose();
+    layerEngines.delete(id);
+    layerGains.get(id)?.dispose();
+    layerGains.delete(id);
+}
+
+/**
+ * Start one extra layer if it isn't playing yet
+ */
+async function startLayer(layer) {
+    if (layerEngines.has(layer.id) || startingLayers.has(layer.id)) return;
+    startingLayers.add(layer.id);
+
+    try {
+        const engine = await startEngine(getProfileById(layer.profileId), getLayerOutput(layer.id));
+        // The layer may have been switched off, or the mix stopped, while it loaded
+        const current = state.layers.find((existing) => existing.id === layer.id);
+        if (!isRunning || !current?.enabled) {
+            engine.dispose();
+            disposeLayer(layer.id);
+            return;
+        }
+        layerEngines.set(layer.id, engine);
+    } catch (error) {
+        console.warn(`Failed to start mixer layer ${layer.profileId}:`, error);
+    } finally {
+        startingLayers.delete(layer.id);
+    }
+}
+
+/**
+ * Start or stop extra layers to match the mix while it is playing
+ */
+function syncLayers() {
+    if (!isRunning) return;
+
+    const enabledIds = new Set(state.layers.filter((layer) => layer.enabled).map((layer) => layer.id));
+    [...layerEngines.keys()].forEach((id) => {
+        if (!enabledIds.has(id)) disposeLayer(id);
+    });
+    state.layers.filter((layer) => layer.enabled).forEach(startLayer);
+}
+
+/**
+ * Move the master output to a level, for fades across every layer
+ * @param {number} level - Target level (0-1)
+ * @param {number} seconds - Length of the ramp, 0 to jump straight there
+ */
+export function rampMaster(level, seconds) {
+    const { gain } = getMasterGain();
+    if (seconds > 0) {
+        gain.rampTo(level, seconds);
+    } else {
+        gain.value = level;
+    }
+}
+
+/**
+ * Bring playing layers of an edited profile in line with its new config
+ * Layers that can't take the change live are rebuilt
+ * @param {string} profileId - The edited profile
+ * @param {string} [path] - Parameter that changed, omitted after a reset
+ */
+export function refreshProfileLayers(profileId, path) {
+    state.layers
+        .filter((layer) => layer.profileId === profileId && layerEngines.has(layer.id))
+        .forEach((layer) => {
+            if (applyEngineParam(layerEngines.get(layer.id), path)) return;
+            disposeLayer(layer.id);
+            startLayer(layer);
+        });
+}
+
+/**
+ * Get the output the base profile's engine should play into
+ */
+export function getBaseOutput() {
+    return getLayerOutput(BASE_LAYER_ID);
+}
+
+/**
+ * Start the extra layers alongside the base profile
+ * Call this after the base engine has reset the transport
+ */
+export async function startMixerLayers() {
+    isRunning = true;
+    await Promise.all(state.layers.filter((layer) => layer.enabled).map(startLayer));
+}
+
+/**
+ * Stop and release every extra layer
+ */
+export function stopMixerLayers() {
+    isRunning = false;
+    [...layerEngines.keys()].forEach(disposeLayer);
+}
+
+/**
+ * Get the base layer's and the extra layers' settings
+ * @returns {{ base: Object, layers: Array<Object> }}
+ */
+export function getMix() {
+    return {
+        base: { ...state.base },
+        layers: state.layers.map((layer) => ({ ...layer }))
+    };
+}
+
+/**
+ * Mix another profile in as an extra layer
+ * @returns {Object|null} The new layer, or null for an unknown profile
+ */
+export function addMixerLayer(profileId) {
+    if (!getProfileById(profileId)) return null;
+
+    const layer = {
+        id: `layer_${Date.now()}`,
+        profileId,
+        enabled: true,
+        volume: DEFAULT_LAYER_VOLUME,
+        muted: false,
+        soloed: false
+    };
+    commitMixer({ ...state, layers: [...state.layers, layer] });
+    syncLayers();
+    return layer;
+}
+
+/**
+ * Change a layer's volume (0-100), mute, solo or on/off state
+ * @param {string} id - Layer id, or BASE_LAYER_ID for the selected profile
+ */
+export function updateMixerLayer(id, changes) {
+    if (id === BASE_LAYER_ID) {
+        commitMixer({ ...state, base: { ...state.base, ...changes } });
+        return;
+    }
+    commitMixer({
+        ...state,
+        layers: state.layers.map((layer) => (layer.id === id ? { ...layer, ...changes } : layer))
+    });
+    syncLayers();
+}
+
+/**
+ * Remove an extra layer
+ */
+export function removeMixerLayer(id) {
+    commitMixer({ ...state, layers: state.layers.filter((layer) => layer.id !== id) });
+    disposeLayer(id);
+}
+
+/**
+ * Get the saved mix presets
+ */
+export function getMixPresets() {
+    return state.presets.map((preset) => ({ ...preset }));
+}
+
+/**
+ * Save the current mix under a name, replacing a preset with the same name
+ * @param {string} name - Preset name
+ * @param {string} baseProfileId - Profile selected as the base layer
+ * @returns {Object|null} The preset, or null if the name is empty
+ */
+export function saveMixPreset(name, baseProfileId) {
+    const trimmed = String(name).trim().slice(0, MAX_PRESET_NAME_LENGTH);
+    if (!trimmed) return null;
+
+    const existing = state.presets.find((preset) => preset.name.toLowerCase() === trimmed.toLowerCase());
+    const preset = {
+        id: existing?.id || `mix_${Date.now()}`,
+        name: trimmed,
+        baseProfileId,
+        ...getMix()
+    };
+    commitMixer({
+        ...state,
+        presets: existing
+            ? state.presets.map((other) => (other.id === existing.id ? preset : other))
+            : [...state.presets, preset]
+    });
+    return preset;
+}
+
+/**
+ * Load a preset's layers into the mix
+ * Selecting the preset's base profile is left to the caller
+ * @returns {Object|null} The preset, or null if it doesn't exist
+ */
+export function applyMixPreset(id) {
+    const preset = state.presets.find((existing) => existing.id === id);
+    if (!preset) return null;
+
+    // Fresh layer ids, so playing layers are rebuilt for the new mix
+    [...layerEngines.keys()].forEach(disposeLayer);
+    commitMixer({
+        ...state,
+        base: preset.base,
+        layers: (preset.layers || []).map((layer, index) => ({ ...layer, id: `layer_${Date.now()}_${index}` }))
+    });
+    syncLayers();
+    return { ...preset };
+}
+
+/**
+ * Delete a mix preset
+ */
+export function deleteMixPreset(id) {
+    commitMixer({ ...state, presets: state.presets.filter((preset) => preset.id !== id) });
+}
+
+/**
+ * Register a listener called after every change to the mix
+ */
+export function onMixerChange(listener) {
+    listeners.push(listener);
+}
+
+registerBackupSection('mixer', {
+    label: 'Mix presets',
+    read: () => ({ presets: getMixPresets() }),
+    describe: (data) => {
+        const existing = new Set(state.presets.map((preset) => preset.id));
+        const added = sanitizeMixer(data).presets.filter((preset) => !existing.has(preset.id)).length;
+        return added > 0 ? `${added} added` : null;
+    },
+    // Presets are merged by id - the mix playing now is left alone
+    restore: (data) => {
+        const existing = new Set(state.presets.map((preset) => preset.id));
+        const added = sanitizeMixer(data).presets.filter((preset) => !existing.has(preset.id));
+        commitMixer({ ...state, presets: [...state.presets, ...added] });
+    }
+});
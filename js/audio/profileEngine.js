@@ -3,9 +3,13 @@
    ============================================ */
 
 import * as Tone from 'tone';
+import { getSchemaParam } from './profileSchemas.js';
+
+const PARAM_RAMP_SECONDS = 0.2;
 
 let currentEngine = null;
 let audioInitialized = false;
+const fadingEngines = new Set(); // Outgoing engines still fading out
 
 /**
  * Initialize audio context with error handling
@@ -22,12 +26,24 @@ export async function initProfileEngine() {
     }
 }
 
+/**
+ * Wake the audio context if a pause suspended it
+ */
+async function resumeContext() {
+    const context = Tone.getContext();
+    if (context.state === 'suspended') {
+        await context.resume();
+    }
+}
+
 /**
  * Create master audio chain with configurable options
  * Eliminates code duplication across all engine classes
+ * The chain plays into options.output, the speakers by default
  */
 async function createMasterChain(options = {}) {
     const {
+        output = Tone.getDestination(),
         reverb = 1.5,
         delay = null,
         highPass = null,
@@ -40,7 +56,7 @@ async function createMasterChain(options = {}) {
     let outputNode;
 
     // Limiter always at the end
-    const limiter = new Tone.Limiter(limiterThreshold).toDestination();
+    const limiter = new Tone.Limiter(limiterThreshold).connect(output);
     components.push(limiter);
     outputNode = limiter;
 
@@ -90,10 +106,19 @@ async function createMasterChain(options = {}) {
  * Base class for all sound engines
  */
 class SoundEngine {
-    constructor(config) {
+    /**
+     * @param {Object} config - Profile config
+     * @param {Tone.ToneAudioNode} [output] - Where the engine plays into
+     */
+    constructor(config, output = Tone.getDestination()) {
         this.config = config;
+        // Every engine plays through its own fader, so engines can crossfade
+        this.fader = new Tone.Gain(1).connect(output);
+        this.output = this.fader;
         this.components = [];
         this.loops = [];
+        // Parameters the engine can change while playing, config path → apply
+        this.params = {};
     }
 
     async start() {
@@ -113,6 +138,43 @@ class SoundEngine {
         });
     }
 
+    /**
+     * Keep the master chain's nodes and make its mix levels editable live
+     */
+    useChain(chain) {
+        this.components.push(...chain.components);
+
+        this.params['reverb.wet'] = () => chain.reverb.wet.rampTo(this.config.reverb.wet, PARAM_RAMP_SECONDS);
+        if (chain.delay) {
+            this.params['delay.wet'] = () => chain.delay.wet.rampTo(this.config.delay.wet, PARAM_RAMP_SECONDS);
+            this.params['delay.feedback'] = () => chain.delay.feedback.rampTo(this.config.delay.feedback, PARAM_RAMP_SECONDS);
+        }
+    }
+
+    /**
+     * Make a volume in the config editable live
+     * @param {string} path - Config key holding the level in dB
+     * @param {Array<[Object, number]>} voices - Sources and their offset from that level
+     */
+    bindVolume(path, voices) {
+        this.params[path] = () => {
+            voices.forEach(([voice, offset]) => voice.volume.rampTo(this.config[path] + offset, PARAM_RAMP_SECONDS));
+        };
+    }
+
+    /**
+     * Apply a changed config value to the playing sound
+     * @param {string} path - Config path that changed
+     * @returns {boolean} False when the engine has to be rebuilt for it
+     */
+    setParam(path) {
+        const apply = this.params[path];
+        if (!apply) return false;
+
+        apply();
+        return true;
+    }
+
     dispose() {
         this.stop();
         this.loops = [];
@@ -120,6 +182,8 @@ class SoundEngine {
             if (comp?.dispose) comp.dispose();
         });
         this.components = [];
+        this.fader?.dispose();
+        this.fader = null;
     }
 }
 
@@ -130,12 +194,13 @@ class GenerativeEngine extends SoundEngine {
     async start() {
         const { config } = this;
         const chain = await createMasterChain({
+            output: this.output,
             reverb: config.reverb,
             delay: config.delay,
             highPass: 100,
             lowPass: 2000
         });
-        this.components.push(...chain.components);
+        this.useChain(chain);
 
         // Pad synth
         const padSynth = new Tone.PolySynth(Tone.Synth, {
@@ -158,6 +223,9 @@ class GenerativeEngine extends SoundEngine {
         noise.start();
 
         this.components.push(padSynth, modSynth, noise);
+        this.bindVolume('padVolume', [[padSynth, 0]]);
+        this.bindVolume('modularVolume', [[modSynth, 0]]);
+        this.bindVolume('noiseVolume', [[noise, 0]]);
 
         // Create loops
         const padLoop = new Tone.Loop((time) => {
@@ -178,6 +246,9 @@ class GenerativeEngine extends SoundEngine {
         }, config.modularInterval);
         modLoop.start(0);
         this.loops.push(modLoop);
+
+        this.params.padInterval = () => { padLoop.interval = config.padInterval; };
+        this.params.modularInterval = () => { modLoop.interval = config.modularInterval; };
     }
 }
 
@@ -191,10 +262,11 @@ class BinauralEngine extends SoundEngine {
     async start() {
         const { config } = this;
         const chain = await createMasterChain({
+            output: this.output,
             reverb: config.reverb,
             lowPass: 800 // Warm, focused sound
         });
-        this.components.push(...chain.components);
+        this.useChain(chain);
 
         // Create stereo panners
         const leftPanner = new Tone.Panner(-0.95).connect(chain.reverb);
@@ -244,6 +316,18 @@ class BinauralEngine extends SoundEngine {
             driftLFO, driftGain, breathLFO,
             noise, noiseFilter
         );
+
+        const retune = () => {
+            const beatFrequency = config.baseFrequency + config.binauralBeat;
+            leftOsc.frequency.rampTo(config.baseFrequency, PARAM_RAMP_SECONDS);
+            rightOsc.frequency.rampTo(beatFrequency, PARAM_RAMP_SECONDS);
+            leftSubOsc.frequency.rampTo(config.baseFrequency / 2, PARAM_RAMP_SECONDS);
+            rightSubOsc.frequency.rampTo(beatFrequency / 2, PARAM_RAMP_SECONDS);
+        };
+        this.params.baseFrequency = retune;
+        this.params.binauralBeat = retune;
+        this.bindVolume('volume', [[leftOsc, 0], [rightOsc, 0], [leftSubOsc, -12], [rightSubOsc, -12]]);
+        this.bindVolume('noiseVolume', [[noise, 0]]);
     }
 }
 
@@ -257,11 +341,12 @@ class NoiseEngine extends SoundEngine {
     async start() {
         const { config } = this;
         const chain = await createMasterChain({
+            output: this.output,
             reverb: config.reverb,
             highPass: config.highPassFreq,
             lowPass: config.lowPassFreq
         });
-        this.components.push(...chain.components);
+        this.useChain(chain);
 
         // Primary noise layer
         const primaryNoise = new Tone.Noise(config.noiseType).connect(chain.reverb);
@@ -301,6 +386,7 @@ class NoiseEngine extends SoundEngine {
             primaryNoise, secondaryNoise, wideNoise,
             secondaryFilter, breathFilter, breathLFO, autoPan
         );
+        this.bindVolume('noiseVolume', [[primaryNoise, 0], [secondaryNoise, -8], [wideNoise, -6]]);
     }
 }
 
@@ -314,8 +400,8 @@ class NoiseEngine extends SoundEngine {
 class RainEngine extends SoundEngine {
     async start() {
         const { config } = this;
-        const chain = await createMasterChain({ reverb: config.reverb });
-        this.components.push(...chain.components);
+        const chain = await createMasterChain({ output: this.output, reverb: config.reverb });
+        this.useChain(chain);
 
         // ═══════════════════════════════════════════════════════════════
         // LAYER 1: Distant rain (low frequency wash)
@@ -347,6 +433,7 @@ class RainEngine extends SoundEngine {
             closeNoise, closeLowPass, closeHighPass,
             windLFO1, windLFO2
         );
+        this.bindVolume('backgroundVolume', [[distantNoise, -4], [closeNoise, 0]]);
 
         // ═══════════════════════════════════════════════════════════════
         // LAYER 3: Small droplets (high frequency, frequent)
@@ -405,6 +492,7 @@ class RainEngine extends SoundEngine {
             medDropSynth, medDropFilter,
             largeDropSynth, largeDropFilter
         );
+        this.bindVolume('dropletVolume', [[smallDropSynth, -2], [medDropSynth, 0], [largeDropSynth, 2]]);
 
         // ═══════════════════════════════════════════════════════════════
         // LAYER 6: Distant thunder (very rare, subtle)
@@ -446,11 +534,12 @@ class ForestEngine extends SoundEngine {
     async start() {
         const { config } = this;
         const chain = await createMasterChain({
+            output: this.output,
             reverb: config.reverb,
             highPass: config.highPassFreq,
             lowPass: config.lowPassFreq
         });
-        this.components.push(...chain.components);
+        this.useChain(chain);
 
         // ═══════════════════════════════════════════════════════════════
         // LAYER 1: Base wind through trees (modulated brown noise)
@@ -469,6 +558,7 @@ class ForestEngine extends SoundEngine {
         gustLFO2.start();
 
         this.components.push(windNoise, windFilter, gustLFO1, gustLFO2);
+        this.bindVolume('noiseVolume', [[windNoise, 0]]);
 
         // ═══════════════════════════════════════════════════════════════
         // LAYER 2: Leaves rustling (high frequency bursts)
@@ -541,6 +631,7 @@ class ForestEngine extends SoundEngine {
         largeBirdLoop.start(5);
 
         this.loops.push(smallBirdLoop, largeBirdLoop);
+        this.bindVolume('birdVolume', [[smallBirdSynth, 0], [largeBirdSynth, -4]]);
         this.components.push(smallBirdSynth, largeBirdSynth);
 
         // ═══════════════════════════════════════════════════════════════
@@ -601,12 +692,13 @@ class LofiEngine extends SoundEngine {
         Tone.Transport.bpm.value = config.bpm;
 
         const chain = await createMasterChain({
+            output: this.output,
             reverb: config.reverb,
             delay: config.delay,
             bitCrush: config.bitCrush,
             lowPass: 3500 // Warm, filtered sound
         });
-        this.components.push(...chain.components);
+        this.useChain(chain);
 
         // ═══════════════════════════════════════════════════════════════
         // TAPE WOBBLE: Subtle pitch/filter modulation for authentic feel
@@ -647,6 +739,9 @@ class LofiEngine extends SoundEngine {
         bass.volume.value = config.bassVolume;
 
         this.components.push(keys, bass);
+        this.bindVolume('chordVolume', [[keys, 0]]);
+        this.bindVolume('bassVolume', [[bass, 0]]);
+        this.params.bpm = () => Tone.Transport.bpm.rampTo(config.bpm, PARAM_RAMP_SECONDS);
 
         // ═══════════════════════════════════════════════════════════════
         // VINYL NOISE: Continuous with random crackles/pops
@@ -680,6 +775,7 @@ class LofiEngine extends SoundEngine {
 
         this.loops.push(popLoop);
         this.components.push(vinylNoise, vinylFilter, popSynth);
+        this.bindVolume('noiseVolume', [[vinylNoise, 0]]);
 
         // ═══════════════════════════════════════════════════════════════
         // CHORD PROGRESSION: Jazzy 7ths with variation
@@ -744,10 +840,11 @@ class MinimalEngine extends SoundEngine {
     async start() {
         const { config } = this;
         const chain = await createMasterChain({
+            output: this.output,
             reverb: config.reverb,
             delay: config.delay
         });
-        this.components.push(...chain.components);
+        this.useChain(chain);
 
         // ═══════════════════════════════════════════════════════════════
         // MAIN VOICE: Rich sine with subtle harmonics
@@ -792,6 +889,7 @@ class MinimalEngine extends SoundEngine {
         subSynth.volume.value = config.volume - 8;
 
         this.components.push(mainSynth, harmonicSynth, subSynth);
+        this.bindVolume('volume', [[mainSynth, 0], [harmonicSynth, -12], [subSynth, -8]]);
 
         // ═══════════════════════════════════════════════════════════════
         // GENTLE FILTER MOVEMENT: Breathing quality
@@ -852,6 +950,7 @@ class MinimalEngine extends SoundEngine {
             }
         }, config.interval);
         mainLoop.start(0);
+        this.params.interval = () => { mainLoop.interval = config.interval; };
 
         // Secondary sparse layer (different interval for phasing)
         const secondaryLoop = new Tone.Loop((time) => {
@@ -886,12 +985,13 @@ class ScientificFocusEngine extends SoundEngine {
         const { config } = this;
 
         const chain = await createMasterChain({
+            output: this.output,
             reverb: config.reverb,
             delay: config.delay,
             highPass: 80,
             lowPass: 2500
         });
-        this.components.push(...chain.components);
+        this.useChain(chain);
 
         // ═══════════════════════════════════════════════════════════════
         // LAYER 1: Pink Noise Bed (1/f spectrum - brain synchronization)
@@ -901,6 +1001,7 @@ class ScientificFocusEngine extends SoundEngine {
         pinkNoise.volume.value = config.noiseVolume;
         pinkNoise.start();
         this.components.push(pinkNoise);
+        this.bindVolume('noiseVolume', [[pinkNoise, 0]]);
 
         // ═══════════════════════════════════════════════════════════════
         // LAYER 2: 40 Hz Gamma Isochronic Pulse (cognitive enhancement)
@@ -919,6 +1020,7 @@ class ScientificFocusEngine extends SoundEngine {
             gammaCarrier.volume.value = config.gammaVolume || -45;
             gammaCarrier.start();
             gammaLFO.start();
+            this.bindVolume('gammaVolume', [[gammaCarrier, 0]]);
 
             this.components.push(gammaCarrier, gammaLFO, gammaGain);
         }
@@ -955,6 +1057,7 @@ class ScientificFocusEngine extends SoundEngine {
         ];
 
         // Create phasing loops - each with prime number interval
+        const padVoices = [];
         primeIntervals.forEach((intervalSeconds, index) => {
             const padConfig = padConfigs[index % padConfigs.length];
 
@@ -970,6 +1073,7 @@ class ScientificFocusEngine extends SoundEngine {
             synth.volume.value = padConfig.volume;
 
             this.components.push(synth);
+            padVoices.push([synth, padConfig.volume - (config.padVolume || -16)]);
 
             // Each loop triggers at its prime interval
             // Note selection uses golden ratio for pleasing distribution
@@ -994,6 +1098,7 @@ class ScientificFocusEngine extends SoundEngine {
             loop.start(index * 2); // Stagger start times
             this.loops.push(loop);
         });
+        this.bindVolume('padVolume', padVoices);
 
         // ═══════════════════════════════════════════════════════════════
         // LAYER 8: Texture accents (sparse FM synthesis)
@@ -1011,6 +1116,7 @@ class ScientificFocusEngine extends SoundEngine {
             textureSynth.volume.value = config.textureVolume || -28;
 
             this.components.push(textureSynth);
+            this.bindVolume('textureVolume', [[textureSynth, 0]]);
 
             // Very sparse texture - prime number interval (37 seconds)
             const textureLoop = new Tone.Loop((time) => {
@@ -1054,37 +1160,55 @@ const ENGINE_TYPES = {
     minimal: MinimalEngine
 };
 
+/**
+ * Build and start an engine for a profile without touching the transport
+ * or the current engine, so several engines can play side by side
+ * @param {Object} profile - Sound profile
+ * @param {Tone.ToneAudioNode} [output] - Where the engine plays into
+ * @param {number} [level] - Starting fader level, 0 to fade the engine in
+ * @returns {Promise<SoundEngine>}
+ */
+export async function startEngine(profile, output, level = 1) {
+    const initialized = await initProfileEngine();
+    if (!initialized) {
+        throw new Error('Failed to initialize audio context');
+    }
+
+    const { config } = profile;
+    const EngineClass = ENGINE_TYPES[config.type];
+
+    if (!EngineClass) {
+        throw new Error(`Unknown profile type: ${config.type}`);
+    }
+
+    const engine = new EngineClass(config, output);
+    engine.fader.gain.value = level;
+    await engine.start();
+    return engine;
+}
+
 /**
  * Create and start an engine based on profile config
+ * @param {Object} profile - Sound profile
+ * @param {Tone.ToneAudioNode} [output] - Where the engine plays into
  */
-export async function createEngine(profile) {
+export async function createEngine(profile, output) {
     // Dispose current engine if exists
     if (currentEngine) {
         currentEngine.dispose();
         currentEngine = null;
     }
+    disposeFadingEngines();
 
-    // Initialize audio if needed
-    const initialized = await initProfileEngine();
-    if (!initialized) {
-        throw new Error('Failed to initialize audio context');
-    }
+    await resumeContext();
 
     // Reset transport state for clean start
     Tone.Transport.stop();
     Tone.Transport.cancel();
     Tone.Transport.position = 0;
 
-    // Create new engine based on type
-    const { config } = profile;
-    const EngineClass = ENGINE_TYPES[config.type];
-
-    if (!EngineClass) {
-        throw new Error(`Unknown profile type: ${config.type}`);
-    }
-
-    currentEngine = new EngineClass(config);
-    await currentEngine.start();
+    // Create new engine based on type (initializes audio if needed)
+    currentEngine = await startEngine(profile, output);
 
     // Start transport
     Tone.Transport.start();
@@ -1093,13 +1217,91 @@ export async function createEngine(profile) {
 }
 
 /**
- * Stop current engine
+ * Apply an edited profile parameter to a playing engine
+ * Works for values the engine can change itself and for those its loops
+ * read from the config as they play
+ * @param {SoundEngine} engine - Engine playing the edited profile
+ * @param {string} [path] - Parameter that changed, omitted after a reset
+ * @returns {boolean} False when the engine has to be rebuilt for it
  */
-export function stopEngine() {
-    if (currentEngine) {
-        currentEngine.stop();
+export function applyEngineParam(engine, path) {
+    if (!path) return false;
+    return engine.setParam(path) || Boolean(getSchemaParam(engine.config.type, path)?.live);
+}
+
+/**
+ * Replace the current engine with one for another profile, fading between them
+ * The transport keeps running, and the outgoing engine is disposed only
+ * after the fade finishes
+ * @param {Object} profile - Sound profile to fade to
+ * @param {Tone.ToneAudioNode} [output] - Where the engine plays into
+ * @param {number} fadeSeconds - Length of the crossfade
+ */
+export async function crossfadeEngine(profile, output, fadeSeconds) {
+    const outgoing = currentEngine;
+    if (!outgoing) {
+        return createEngine(profile, output);
     }
-    Tone.Transport.stop();
+
+    const incoming = await startEngine(profile, output, fadeSeconds > 0 ? 0 : 1);
+
+    // Sound was stopped, or another switch won, while the engine loaded
+    if (currentEngine !== outgoing || Tone.Transport.state !== 'started') {
+        incoming.dispose();
+        return currentEngine;
+    }
+    currentEngine = incoming;
+    if (fadeSeconds <= 0) {
+        outgoing.dispose();
+        return incoming;
+    }
+    fadingEngines.add(outgoing);
+
+    incoming.fader.gain.rampTo(1, fadeSeconds);
+    outgoing.fader.gain.rampTo(0, fadeSeconds);
+
+    setTimeout(() => {
+        if (fadingEngines.delete(outgoing)) {
+            outgoing.dispose();
+        }
+    }, fadeSeconds * 1000);
+
+    return incoming;
+}
+
+/**
+ * Dispose engines still fading out after a crossfade
+ */
+function disposeFadingEngines() {
+    fadingEngines.forEach((engine) => engine.dispose());
+    fadingEngines.clear();
+}
+
+/**
+ * Pause the current engine where it is: the transport keeps its position
+ * and the audio context is suspended, so resuming rebuilds nothing
+ */
+export async function suspendEngine() {
+    disposeFadingEngines();
+    Tone.Transport.pause();
+
+    try {
+        await Tone.getContext().rawContext.suspend();
+    } catch (error) {
+        console.warn('Failed to suspend audio context:', error);
+    }
+}
+
+/**
+ * Resume an engine paused with suspendEngine()
+ * @returns {Promise<boolean>} False when there is no engine to resume
+ */
+export async function resumeEngine() {
+    if (!currentEngine) return false;
+
+    await resumeContext();
+    Tone.Transport.start();
+    return true;
 }
 
 /**
@@ -1110,6 +1312,7 @@ export function disposeEngine() {
         currentEngine.dispose();
         currentEngine = null;
     }
+    disposeFadingEngines();
     Tone.Transport.stop();
     Tone.Transport.cancel();
 }
@@ -0,0 +1,205 @@
+/* ============================================
+   PROFILE SCHEMAS - Editable Parameters per Engine
+   ============================================ */
+
+/**
+ * Parameters the profile editor offers for each engine type
+ *
+ * Each parameter has:
+ * - path: key in the profile config, dotted for nested values ('reverb.wet')
+ * - kind: 'range', 'toggle', 'select' or 'notes'
+ * - live: true when the engine reads the value from its config on every
+ *   loop tick, so changing the config is enough. Engines can also apply a
+ *   parameter themselves (see SoundEngine.setParam) - anything else needs
+ *   the engine rebuilt
+ */
+
+export const NOTE_NAMES = ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+export const NOTE_OCTAVES = [2, 3, 4, 5, 6];
+
+const NOTE_PATTERN = /^(C#?|D|Eb|E|F#?|G|Ab|A|Bb|B)([2-6])$/;
+const MAX_NOTES = 12;
+
+const NOISE_TYPES = [['white', 'White'], ['pink', 'Pink'], ['brown', 'Brown']];
+const NOTE_INTERVALS = [['1n', '1 bar'], ['2n', '1/2'], ['4n', '1/4'], ['7n', '1/7'], ['8n', '1/8'], ['16n', '1/16']];
+
+/**
+ * Build a volume slider in decibels
+ */
+function volume(path, label, min = -60, max = -6) {
+    return { path, label, kind: 'range', min, max, step: 1, unit: 'dB' };
+}
+
+/**
+ * Build a 0-1 probability slider, read live by the engine's loops
+ */
+function chance(path, label, min = 0, max = 1) {
+    return { path, label, kind: 'range', min, max, step: 0.05, live: true };
+}
+
+const NOTES = { path: 'notes', label: 'Notes', kind: 'notes', live: true };
+const NOISE_TYPE = { path: 'noiseType', label: 'Noise colour', kind: 'select', options: NOISE_TYPES };
+
+const REVERB = [
+    { path: 'reverb.decay', label: 'Reverb length', kind: 'range', min: 0.5, max: 15, step: 0.5, unit: 's' },
+    { path: 'reverb.wet', label: 'Reverb mix', kind: 'range', min: 0, max: 1, step: 0.05 }
+];
+
+const DELAY = [
+    { path: 'delay.feedback', label: 'Echo feedback', kind: 'range', min: 0, max: 0.8, step: 0.05 },
+    { path: 'delay.wet', label: 'Echo mix', kind: 'range', min: 0, max: 1, step: 0.05 }
+];
+
+const FILTERS = [
+    { path: 'lowPassFreq', label: 'Brightness', kind: 'range', min: 200, max: 8000, step: 100, unit: 'Hz' },
+    { path: 'highPassFreq', label: 'Low cut', kind: 'range', min: 20, max: 500, step: 10, unit: 'Hz' }
+];
+
+const SCHEMAS = {
+    scientific: [
+        // The harmonic layers pick their notes up when the engine starts
+        { ...NOTES, live: false },
+        volume('padVolume', 'Pad volume'),
+        volume('noiseVolume', 'Noise volume', -70),
+        { path: 'gammaEnabled', label: '40 Hz gamma pulse', kind: 'toggle' },
+        volume('gammaVolume', 'Gamma volume', -70, -20),
+        { path: 'textureEnabled', label: 'Texture accents', kind: 'toggle' },
+        volume('textureVolume', 'Texture volume'),
+        chance('textureProbability', 'Texture density', 0.05),
+        ...REVERB,
+        ...DELAY
+    ],
+    generative: [
+        NOTES,
+        volume('padVolume', 'Pad volume'),
+        volume('modularVolume', 'Sparkle volume'),
+        volume('noiseVolume', 'Noise volume', -70),
+        NOISE_TYPE,
+        chance('padTriggerProb', 'Pad density'),
+        chance('modularTriggerProb', 'Sparkle density'),
+        { path: 'padInterval', label: 'Pad rhythm', kind: 'select', options: NOTE_INTERVALS },
+        { path: 'modularInterval', label: 'Sparkle rhythm', kind: 'select', options: NOTE_INTERVALS },
+        ...REVERB,
+        ...DELAY
+    ],
+    binaural: [
+        { path: 'baseFrequency', label: 'Carrier tone', kind: 'range', min: 100, max: 400, step: 1, unit: 'Hz' },
+        { path: 'binauralBeat', label: 'Binaural beat', kind: 'range', min: 1, max: 40, step: 0.5, unit: 'Hz' },
+        volume('volume', 'Tone volume'),
+        volume('noiseVolume', 'Noise volume', -70),
+        NOISE_TYPE,
+        ...REVERB
+    ],
+    noise: [
+        NOISE_TYPE,
+        volume('noiseVolume', 'Volume'),
+        ...FILTERS,
+        ...REVERB
+    ],
+    rain: [
+        volume('backgroundVolume', 'Rain volume'),
+        { path: 'backgroundLowPass', label: 'Rain brightness', kind: 'range', min: 500, max: 8000, step: 100, unit: 'Hz' },
+        { path: 'backgroundHighPass', label: 'Rain low cut', kind: 'range', min: 50, max: 1000, step: 10, unit: 'Hz' },
+        volume('dropletVolume', 'Droplet volume'),
+        chance('dropletIntensity', 'Droplet intensity'),
+        { path: 'thunderEnabled', label: 'Distant thunder', kind: 'toggle' },
+        ...REVERB
+    ],
+    lofi: [
+        { path: 'bpm', label: 'Tempo', kind: 'range', min: 60, max: 100, step: 1, unit: 'BPM' },
+        NOTES,
+        volume('chordVolume', 'Keys volume'),
+        volume('bassVolume', 'Bass volume'),
+        volume('noiseVolume', 'Vinyl volume', -70),
+        { path: 'bitCrush', label: 'Bit depth', kind: 'range', min: 4, max: 16, step: 1, unit: 'bit' },
+        ...REVERB,
+        ...DELAY
+    ],
+    minimal: [
+        NOTES,
+        volume('volume', 'Volume'),
+        chance('triggerProb', 'Density'),
+        { path: 'interval', label: 'Rhythm', kind: 'select', options: NOTE_INTERVALS },
+        ...REVERB,
+        ...DELAY
+    ],
+    forest: [
+        volume('noiseVolume', 'Wind volume'),
+        NOISE_TYPE,
+        ...FILTERS,
+        volume('birdVolume', 'Bird volume'),
+        chance('birdProb', 'Bird activity', 0, 0.6),
+        { path: 'insectsEnabled', label: 'Crickets', kind: 'toggle' },
+        { path: 'streamEnabled', label: 'Stream', kind: 'toggle' },
+        ...REVERB
+    ]
+};
+
+/**
+ * Get the editable parameters for an engine type
+ * Parameters the profile's config doesn't have are left out
+ * @param {Object} config - Profile config
+ * @returns {Array<Object>}
+ */
+export function getProfileSchema(config) {
+    return (SCHEMAS[config.type] || []).filter((param) => getConfigValue(config, param.path) !== undefined);
+}
+
+/**
+ * Find one parameter of an engine type by path
+ */
+export function getSchemaParam(type, path) {
+    return (SCHEMAS[type] || []).find((param) => param.path === path) || null;
+}
+
+/**
+ * Read a possibly nested value from a profile config
+ */
+export function getConfigValue(config, path) {
+    return path.split('.').reduce((value, key) => value?.[key], config);
+}
+
+/**
+ * Write a possibly nested value into a profile config, in place
+ */
+export function setConfigValue(config, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((value, key) => value[key], config);
+    parent[last] = value;
+}
+
+/**
+ * Order notes from low to high, e.g. 'Bb3' before 'C4'
+ */
+export function sortNotes(notes) {
+    const pitch = (note) => {
+        const [, name, octave] = note.match(NOTE_PATTERN);
+        return Number(octave) * NOTE_NAMES.length + NOTE_NAMES.indexOf(name);
+    };
+    return [...notes].sort((a, b) => pitch(a) - pitch(b));
+}
+
+/**
+ * Check a value against its parameter
+ * @returns {*} The value, clamped or cleaned up, or undefined if unusable
+ */
+export function sanitizeParamValue(param, value) {
+    switch (param.kind) {
+        case 'range': {
+            const number = Number(value);
+            return Number.isFinite(number) ? Math.max(param.min, Math.min(param.max, number)) : undefined;
+        }
+        case 'toggle':
+            return typeof value === 'boolean' ? value : undefined;
+        case 'select':
+            return param.options.some(([option]) => option === value) ? value : undefined;
+        case 'notes': {
+            if (!Array.isArray(value)) return undefined;
+            const notes = [...new Set(value.filter((note) => NOTE_PATTERN.test(note)))].slice(0, MAX_NOTES);
+            return notes.length > 0 ? sortNotes(notes) : undefined;
+        }
+        default:
+            return undefined;
+    }
+}
@@ -2,6 +2,11 @@
    SOUND PROFILES - Different Focus Sound Types
    ============================================ */
 
+import { getSchemaParam, getConfigValue, setConfigValue, sanitizeParamValue } from './profileSchemas.js';
+import { registerBackupSection } from '../data/backup.js';
+
+const OVERRIDES_STORAGE_KEY = 'letsfocus_profile_overrides';
+
 /**
  * Research-backed sound profiles for focus and productivity
  *
@@ -245,3 +250,138 @@ export function getProfileById(id) {
 export function getDefaultProfile() {
     return SOUND_PROFILES.SCIENCE_FOCUS;
 }
+
+/* ============================================
+   Parameter overrides from the profile editor
+   ============================================ */
+
+/**
+ * Copy a config value so edits never reach the defaults
+ */
+function cloneValue(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// Untouched configs, kept for "reset to defaults"
+const DEFAULT_CONFIGS = new Map(getAllProfiles().map((profile) => [profile.id, cloneValue(profile.config)]));
+
+let overrides = loadOverrides();
+applyAllOverrides();
+
+/**
+ * Keep overrides for known profiles and parameters, with usable values
+ * @returns {Object} Profile id → { parameter path → value }
+ */
+function sanitizeOverrides(raw) {
+    const clean = {};
+    getAllProfiles().forEach((profile) => {
+        const values = raw?.[profile.id];
+        if (!values || typeof values !== 'object') return;
+
+        Object.entries(values).forEach(([path, value]) => {
+            const param = getSchemaParam(profile.config.type, path);
+            if (!param || getConfigValue(DEFAULT_CONFIGS.get(profile.id), path) === undefined) return;
+
+            const sanitized = sanitizeParamValue(param, value);
+            if (sanitized === undefined) return;
+            clean[profile.id] = { ...clean[profile.id], [path]: sanitized };
+        });
+    });
+    return clean;
+}
+
+/**
+ * Load the overrides from localStorage
+ */
+function loadOverrides() {
+    try {
+        const data = localStorage.getItem(OVERRIDES_STORAGE_KEY);
+        return sanitizeOverrides(data ? JSON.parse(data) : null);
+    } catch (error) {
+        console.warn('Failed to load profile overrides:', error);
+        return {};
+    }
+}
+
+/**
+ * Persist the overrides to localStorage
+ */
+function saveOverrides() {
+    try {
+        localStorage.setItem(OVERRIDES_STORAGE_KEY, JSON.stringify(overrides));
+    } catch (error) {
+        console.warn('Failed to save profile overrides:', error);
+    }
+}
+
+/**
+ * Rewrite every profile's config as its defaults plus its overrides
+ * Configs are changed in place, so engines and anyone holding a profile
+ * see the new values
+ */
+function applyAllOverrides() {
+    getAllProfiles().forEach((profile) => {
+        const defaults = DEFAULT_CONFIGS.get(profile.id);
+        Object.keys(defaults).forEach((key) => {
+            profile.config[key] = cloneValue(defaults[key]);
+        });
+        Object.entries(overrides[profile.id] || {}).forEach(([path, value]) => {
+            setConfigValue(profile.config, path, cloneValue(value));
+        });
+    });
+}
+
+/**
+ * Get the parameters changed from a profile's defaults
+ * @returns {Object} Parameter path → value
+ */
+export function getProfileOverrides(profileId) {
+    return { ...overrides[profileId] };
+}
+
+/**
+ * Change one parameter of a profile and remember it
+ * @param {string} profileId - Profile to change
+ * @param {string} path - Parameter path from the profile's schema
+ * @param {*} value - New value
+ * @returns {*} The value stored, or undefined if it was rejected
+ */
+export function setProfileParam(profileId, path, value) {
+    const profile = getProfileById(profileId);
+    const param = profile && getSchemaParam(profile.config.type, path);
+    if (!param) return undefined;
+
+    const sanitized = sanitizeParamValue(param, value);
+    if (sanitized === undefined) return undefined;
+
+    overrides = { ...overrides, [profileId]: { ...overrides[profileId], [path]: sanitized } };
+    setConfigValue(profile.config, path, cloneValue(sanitized));
+    saveOverrides();
+    return sanitized;
+}
+
+/**
+ * Put every parameter of a profile back to its default
+ */
+export function resetProfileParams(profileId) {
+    const { [profileId]: removed, ...rest } = overrides;
+    if (!removed) return;
+
+    overrides = rest;
+    applyAllOverrides();
+    saveOverrides();
+}
+
+registerBackupSection('profileOverrides', {
+    label: 'Sound profile edits',
+    read: () => overrides,
+    describe: (data) => {
+        const count = Object.keys(sanitizeOverrides(data)).length;
+        return count > 0 ? `${count} ${count === 1 ? 'profile' : 'profiles'} edited` : null;
+    },
+    restore: (data) => {
+        overrides = sanitizeOverrides(data);
+        applyAllOverrides();
+        saveOverrides();
+    }
+});
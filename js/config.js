@@ -13,6 +13,9 @@ export const CONFIG = {
         MIN_TIMER_MINUTES: 5,      // Minimum timer duration
         STATUS_RESET_DELAY: 3000,  // Delay before resetting status (ms)
         MAX_LOG_ENTRIES: 100,
+        TICK_INTERVAL: 250,        // How often the display re-syncs with the clock (ms)
+        MIN_DISTRACTION_MS: 2000,  // Shorter trips away from the tab aren't counted
+        IDLE_CHECK_INTERVAL: 5000, // How often auto-pause checks for an idle user (ms)
         SESSIONS_BEFORE_LONG_BREAK: 4  // Number of work sessions before long break
     },
 
@@ -38,6 +41,10 @@ export const CONFIG = {
         NOISE_VOLUME: -58,
         LIMITER_THRESHOLD: -2,
 
+        // Wind-down before a focus session ends
+        WIND_DOWN_SECONDS: 60,
+        WIND_DOWN_LEVEL: 0.35,
+
         // Filter settings
         HIGH_PASS_FREQUENCY: 100,
         LOW_PASS_FREQUENCY: 2000,
@@ -78,6 +85,12 @@ export const CONFIG = {
         SESSION_COMPLETE: '🎯 Focus session complete!',
         BREAK_READY: '☕ Break time! Click START to begin break',
         BREAK_COMPLETE: '✨ Break complete! Ready for next focus session',
-        LONG_BREAK_READY: '🌟 Time for a long break! You earned it'
+        LONG_BREAK_READY: '🌟 Time for a long break! You earned it',
+        NEXT_FOCUS_READY: '🎯 Focus session complete! Next focus block is ready',
+        SESSION_EXPIRED: '⏰ Your session finished while you were away - marked complete',
+        FLOW_READY: '🌊 Flow mode - the timer counts up until you press FINISH',
+        AUTO_START_CANCELLED: 'Auto-start cancelled - click START when you are ready',
+        BREAK_SKIPPED: '⏭️ Break skipped - next focus block is ready',
+        GOAL_REACHED: '🎉 Daily goal reached - great work today!'
     }
 };
@@ -0,0 +1,64 @@
+/* ============================================
+   BACKUP - Registry of Data Saved in Backups
+   ============================================ */
+
+/**
+ * Sections of app data stored alongside sessions in a JSON backup
+ * Modules that own persisted data register a section for it
+ */
+const sections = new Map();
+
+/**
+ * Register a section of app data to include in backups
+ * @param {string} name - Key of the section in the backup file
+ * @param {Object} section
+ * @param {string} section.label - Human readable name, e.g. 'Settings'
+ * @param {Function} section.read - Returns the data to back up
+ * @param {Function} section.describe - Given backed up data, returns a short
+ *   summary of what restoring it would change, or null if nothing
+ * @param {Function} section.restore - Restores backed up data
+ */
+export function registerBackupSection(name, section) {
+    sections.set(name, section);
+}
+
+/**
+ * Read every registered section for a backup file
+ * @returns {Object} Section name → data
+ */
+export function readBackupSections() {
+    const data = {};
+    sections.forEach((section, name) => {
+        data[name] = section.read();
+    });
+    return data;
+}
+
+/**
+ * Summarize what restoring the sections of a backup would change
+ * Unknown sections and sections that wouldn't change anything are left out
+ * @returns {Array<{ name: string, label: string, summary: string }>}
+ */
+export function describeBackupSections(data = {}) {
+    const changes = [];
+    sections.forEach((section, name) => {
+        if (data[name] === undefined) return;
+        const summary = section.describe(data[name]);
+        if (summary) changes.push({ name, label: section.label, summary });
+    });
+    return changes;
+}
+
+/**
+ * Restore the given sections of a backup
+ * @param {Object} data - Section name → data
+ * @param {Array<string>} names - Sections to restore
+ */
+export function restoreBackupSections(data, names) {
+    names.forEach((name) => {
+        const section = sections.get(name);
+        if (section && data[name] !== undefined) {
+            section.restore(data[name]);
+        }
+    });
+}
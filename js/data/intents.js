@@ -0,0 +1,108 @@
+/* ============================================
+   INTENTS - What a Focus Session Is For
+   ============================================ */
+
+const STORAGE_KEY = 'letsfocus_intent';
+const RECENT_STORAGE_KEY = 'letsfocus_recent_intents';
+const MAX_RECENT_INTENTS = 20;
+const MAX_INTENT_LENGTH = 80;
+
+let currentIntent = loadCurrentIntent();
+
+/**
+ * Read a JSON value from localStorage
+ */
+function readJson(key, fallback) {
+    try {
+        const data = localStorage.getItem(key);
+        return data ? JSON.parse(data) : fallback;
+    } catch (error) {
+        console.warn(`Failed to load ${key}:`, error);
+        return fallback;
+    }
+}
+
+/**
+ * Write a JSON value to localStorage
+ */
+function writeJson(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+        console.warn(`Failed to save ${key}:`, error);
+    }
+}
+
+/**
+ * Load the intent typed in for the next session
+ */
+function loadCurrentIntent() {
+    const saved = readJson(STORAGE_KEY, null);
+    return {
+        intent: typeof saved?.intent === 'string' ? saved.intent : '',
+        tags: Array.isArray(saved?.tags) ? parseTags(saved.tags.join(',')) : []
+    };
+}
+
+/**
+ * Turn "#writing, Deep Work" into ['writing', 'deep-work']
+ * @param {string} text - Comma separated tags, leading # optional
+ * @returns {Array<string>} Unique, lower case tags
+ */
+export function parseTags(text) {
+    const tags = String(text)
+        .split(',')
+        .map((tag) => tag.trim().replace(/^#+/, '').toLowerCase().replace(/\s+/g, '-'))
+        .filter(Boolean);
+    return [...new Set(tags)];
+}
+
+/**
+ * Get the intent and tags for the next session
+ * @returns {{ intent: string, tags: Array<string> }}
+ */
+export function getCurrentIntent() {
+    return { intent: currentIntent.intent, tags: [...currentIntent.tags] };
+}
+
+/**
+ * Set the intent and tags for the next session
+ * @param {string} intent - Short description, e.g. "Write RFC"
+ * @param {Array<string>} tags - Tags from parseTags()
+ */
+export function setCurrentIntent(intent, tags) {
+    currentIntent = {
+        intent: String(intent).trim().slice(0, MAX_INTENT_LENGTH),
+        tags: [...tags]
+    };
+    writeJson(STORAGE_KEY, currentIntent);
+}
+
+/**
+ * Get recently used intents, most recent first
+ */
+export function getRecentIntents() {
+    const recent = readJson(RECENT_STORAGE_KEY, []);
+    return Array.isArray(recent) ? recent.filter((intent) => typeof intent === 'string') : [];
+}
+
+/**
+ * Move the current intent to the top of the recent intents
+ */
+export function rememberCurrentIntent() {
+    const { intent } = currentIntent;
+    if (!intent) return;
+
+    const recent = getRecentIntents().filter((existing) => existing.toLowerCase() !== intent.toLowerCase());
+    writeJson(RECENT_STORAGE_KEY, [intent, ...recent].slice(0, MAX_RECENT_INTENTS));
+}
+
+/**
+ * Intent fields to store on a history entry (empty fields are left out)
+ */
+export function getIntentDetails() {
+    return {
+        ...(currentIntent.intent ? { intent: currentIntent.intent } : {}),
+        ...(currentIntent.tags.length > 0 ? { tags: [...currentIntent.tags] } : {})
+    };
+}
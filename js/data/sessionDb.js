@@ -0,0 +1,240 @@
+/* ============================================
+   SESSION DB - IndexedDB Session Store
+   ============================================ */
+
+const DB_NAME = 'letsfocus';
+const STORE_NAME = 'sessions';
+const LEGACY_STORAGE_KEY = 'letsfocus_sessions';
+
+/**
+ * Schema migrations, one per database version
+ * Migration N upgrades a version N-1 database to version N. Append new
+ * migrations to the end - never edit one that has shipped
+ */
+const MIGRATIONS = [
+    // v1: sessions store with indexes for range and filter queries,
+    // seeded with the history kept in localStorage
+    (db, transaction, context) => {
+        const store = db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+        store.createIndex('day', 'day');
+        store.createIndex('timestamp', 'timestamp');
+        store.createIndex('type', 'type');
+        store.createIndex('profile', 'profile');
+
+        readLegacySessions().forEach((session) => store.put(session));
+        context.importedLegacy = true;
+    }
+];
+
+const DB_VERSION = MIGRATIONS.length;
+
+let dbPromise = null;
+
+/**
+ * Get a key that identifies a session entry
+ */
+export function getSessionKey(session) {
+    return `${session.timestamp}|${session.type}`;
+}
+
+/**
+ * Format a date as its local calendar day, YYYY-MM-DD
+ */
+export function toDayKey(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Add the indexed fields (key, day) to a session entry
+ */
+export function toStoredSession(session) {
+    return {
+        ...session,
+        key: getSessionKey(session),
+        day: toDayKey(new Date(session.timestamp))
+    };
+}
+
+/**
+ * Read the history the app kept in localStorage before IndexedDB
+ */
+function readLegacySessions() {
+    try {
+        const data = localStorage.getItem(LEGACY_STORAGE_KEY);
+        const sessions = data ? JSON.parse(data) : [];
+        return Array.isArray(sessions)
+            ? sessions.filter((session) => session?.timestamp && session.type).map(toStoredSession)
+            : [];
+    } catch (error) {
+        console.warn('Failed to read legacy session history:', error);
+        return [];
+    }
+}
+
+/**
+ * Open the database, running any pending migrations
+ */
+function openDb() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        if (!('indexedDB' in window)) {
+            reject(new Error('IndexedDB is not available'));
+            return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        const context = { importedLegacy: false };
+
+        request.onupgradeneeded = (event) => {
+            const db = request.result;
+            for (let version = event.oldVersion; version < DB_VERSION; version++) {
+                MIGRATIONS[version](db, request.transaction, context);
+            }
+        };
+
+        request.onsuccess = () => {
+            // The legacy copy is only dropped once the upgrade has committed
+            if (context.importedLegacy) {
+                try {
+                    localStorage.removeItem(LEGACY_STORAGE_KEY);
+                } catch (error) {
+                    console.warn('Failed to remove legacy session history:', error);
+                }
+            }
+            const db = request.result;
+            // A newer tab wants to upgrade - step aside and reopen on next use
+            db.onversionchange = () => {
+                db.close();
+                dbPromise = null;
+            };
+            resolve(db);
+        };
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('Session database upgrade is blocked by another tab'));
+    });
+
+    // Let the next call try again
+    dbPromise.catch(() => {
+        dbPromise = null;
+    });
+
+    return dbPromise;
+}
+
+/**
+ * Run a callback against the sessions store and wait for the transaction
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {Function} callback - Receives the store, may return a request
+ * @returns {Promise<*>} The request's result, once the transaction is done
+ */
+async function withStore(mode, callback) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = callback(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => resolve(request?.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Add or replace session entries
+ * @param {Array<Object>} sessions - Entries with at least type and timestamp
+ */
+export function putSessions(sessions) {
+    return withStore('readwrite', (store) => {
+        sessions.forEach((session) => store.put(toStoredSession(session)));
+    });
+}
+
+/**
+ * Query sessions, newest first
+ * The most selective index is used for the query, the other filters are
+ * applied to its results
+ * @param {Object} [query]
+ * @param {string} [query.from] - First day to include, YYYY-MM-DD
+ * @param {string} [query.to] - Last day to include, YYYY-MM-DD
+ * @param {string} [query.type] - 'work' or 'break'
+ * @param {string} [query.profile] - Sound profile name
+ */
+export async function querySessions({ from, to, type, profile } = {}) {
+    const sessions = await withStore('readonly', (store) => {
+        if (from || to) {
+            const range = from && to
+                ? IDBKeyRange.bound(from, to)
+                : from ? IDBKeyRange.lowerBound(from) : IDBKeyRange.upperBound(to);
+            return store.index('day').getAll(range);
+        }
+        if (type) return store.index('type').getAll(type);
+        if (profile) return store.index('profile').getAll(profile);
+        return store.getAll();
+    });
+
+    return sessions
+        .filter((session) => (!type || session.type === type) && (!profile || session.profile === profile))
+        .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+}
+
+/**
+ * Get the distinct sound profiles found in history
+ */
+export async function getSessionProfiles() {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const profiles = [];
+        const request = db.transaction(STORE_NAME).objectStore(STORE_NAME)
+            .index('profile').openKeyCursor(null, 'nextunique');
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) {
+                resolve(profiles);
+                return;
+            }
+            profiles.push(cursor.key);
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Merge fields into a stored session
+ * @param {string} key - Key from getSessionKey()
+ * @param {Object} changes - Fields to set
+ */
+export function patchSession(key, changes) {
+    return withStore('readwrite', (store) => {
+        const request = store.get(key);
+        request.onsuccess = () => {
+            if (request.result) {
+                store.put({ ...request.result, ...changes, key });
+            }
+        };
+    });
+}
+
+/**
+ * Get the keys of every stored session
+ * @returns {Promise<Set<string>>}
+ */
+export async function getSessionKeys() {
+    return new Set(await withStore('readonly', (store) => store.getAllKeys()));
+}
+
+/**
+ * Delete one session by key
+ */
+export function removeSession(key) {
+    return withStore('readwrite', (store) => store.delete(key));
+}
+
+/**
+ * Delete every session
+ */
+export function removeAllSessions() {
+    return withStore('readwrite', (store) => store.clear());
+}
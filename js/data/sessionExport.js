@@ -0,0 +1,214 @@
+/* ============================================
+   SESSION EXPORT - CSV, JSON & iCalendar Files
+   ============================================ */
+
+import { toDayKey } from './sessionDb.js';
+import { readBackupSections } from './backup.js';
+
+export const EXPORT_FORMAT_VERSION = 1;
+
+export const EXPORT_FORMATS = {
+    CSV: 'csv',
+    JSON: 'json',
+    ICS: 'ics'
+};
+
+/**
+ * CSV columns: [header, value getter]
+ */
+const CSV_COLUMNS = [
+    ['date', (session) => session.day || toDayKey(new Date(session.timestamp))],
+    ['start', (session) => getStart(session).toISOString()],
+    ['end', (session) => getEnd(session).toISOString()],
+    ['type', (session) => session.type],
+    ['timestamp', (session) => session.timestamp],
+    ['outcome', (session) => session.outcome || 'completed'],
+    ['minutes', (session) => session.duration],
+    ['planned_minutes', (session) => session.plannedDuration],
+    ['paused_minutes', (session) => session.pausedDuration],
+    ['pauses', (session) => session.pauseCount],
+    ['distractions', (session) => session.distractionCount],
+    ['away_minutes', (session) => session.awayDuration],
+    ['profile', (session) => session.profile],
+    ['mode', (session) => session.mode],
+    ['intent', (session) => session.intent],
+    ['tags', (session) => (session.tags || []).join(';')],
+    ['task', (session) => session.taskTitle],
+    ['end_action', (session) => session.endAction],
+    ['extended_by', (session) => session.extendedBy],
+    ['rating', (session) => session.rating],
+    ['note', (session) => session.note]
+];
+
+/**
+ * When a session ended (older entries only have the save time)
+ */
+function getEnd(session) {
+    return new Date(session.endedAt || session.timestamp);
+}
+
+/**
+ * When a session started, worked out from its duration for older entries
+ */
+function getStart(session) {
+    if (session.startedAt) return new Date(session.startedAt);
+    return new Date(getEnd(session).getTime() - (session.duration || 0) * 60000);
+}
+
+/**
+ * Quote a CSV field when it contains a separator, quote or line break
+ */
+function escapeCsv(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Sessions as CSV, one row per session
+ */
+export function sessionsToCsv(sessions) {
+    const rows = [
+        CSV_COLUMNS.map(([header]) => header),
+        ...sessions.map((session) => CSV_COLUMNS.map(([, getValue]) => getValue(session)))
+    ];
+    return rows.map((row) => row.map(escapeCsv).join(',')).join('\r\n');
+}
+
+/**
+ * Sessions as a JSON backup with every stored field, plus settings and
+ * the other registered backup sections
+ * @param {Object} [range] - { from, to } date range the export covers
+ */
+export function sessionsToJson(sessions, range = {}) {
+    return JSON.stringify({
+        app: 'LetsFocus',
+        version: EXPORT_FORMAT_VERSION,
+        exportedAt: new Date().toISOString(),
+        range: { from: range.from || null, to: range.to || null },
+        sessions,
+        sections: readBackupSections()
+    }, null, 2);
+}
+
+/**
+ * Format a date as an iCalendar UTC date-time, e.g. 20250101T090000Z
+ */
+function toIcsDate(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Escape iCalendar text values
+ */
+function escapeIcs(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Count the UTF-8 bytes of one character
+ */
+function utf8Length(char) {
+    const code = char.codePointAt(0);
+    if (code < 0x80) return 1;
+    if (code < 0x800) return 2;
+    return code < 0x10000 ? 3 : 4;
+}
+
+/**
+ * Fold long iCalendar lines (RFC 5545 limits lines to 75 octets,
+ * continuation lines start with a space)
+ */
+function foldIcsLine(line) {
+    const parts = [];
+    let current = '';
+    let bytes = 0;
+
+    Array.from(line).forEach((char) => {
+        const size = utf8Length(char);
+        if (bytes + size > 74) {
+            parts.push(current);
+            current = '';
+            bytes = 0;
+        }
+        current += char;
+        bytes += size;
+    });
+
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+/**
+ * Focus sessions as an iCalendar file, one event per session
+ */
+export function sessionsToIcs(sessions) {
+    const now = toIcsDate(new Date());
+    const events = sessions
+        .filter((session) => session.type === 'work')
+        .flatMap((session) => {
+            const outcome = session.outcome && session.outcome !== 'completed' ? `, ${session.outcome}` : '';
+            const description = [
+                `${session.duration} min focused${outcome}`,
+                session.profile ? `Sound: ${session.profile}` : '',
+                session.tags?.length ? `Tags: ${session.tags.map((tag) => `#${tag}`).join(' ')}` : '',
+                session.rating ? `Focus rating: ${session.rating}/5` : '',
+                session.note || ''
+            ].filter(Boolean).join('\n');
+
+            return [
+                'BEGIN:VEVENT',
+                `UID:${toIcsDate(new Date(session.timestamp))}-work@letsfocus`,
+                `DTSTAMP:${now}`,
+                `DTSTART:${toIcsDate(getStart(session))}`,
+                `DTEND:${toIcsDate(getEnd(session))}`,
+                `SUMMARY:${escapeIcs(`🎯 ${session.intent || 'Focus session'}`)}`,
+                `DESCRIPTION:${escapeIcs(description)}`,
+                'TRANSP:OPAQUE',
+                'END:VEVENT'
+            ];
+        });
+
+    return [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//LetsFocus//Focus Sessions//EN',
+        'CALSCALE:GREGORIAN',
+        ...events,
+        'END:VCALENDAR'
+    ].map(foldIcsLine).join('\r\n');
+}
+
+const FORMAT_WRITERS = {
+    [EXPORT_FORMATS.CSV]: { write: sessionsToCsv, mimeType: 'text/csv' },
+    [EXPORT_FORMATS.JSON]: { write: sessionsToJson, mimeType: 'application/json' },
+    [EXPORT_FORMATS.ICS]: { write: sessionsToIcs, mimeType: 'text/calendar' }
+};
+
+/**
+ * Download sessions as a file in the given format
+ * @param {Array<Object>} sessions - Sessions to export
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {Object} [range] - { from, to } date range, used in the file name
+ */
+export function downloadSessions(sessions, format, range = {}) {
+    const { write, mimeType } = FORMAT_WRITERS[format];
+    const blob = new Blob([write(sessions, range)], { type: `${mimeType};charset=utf-8` });
+    const span = range.from || range.to
+        ? `${range.from || 'start'}_to_${range.to || toDayKey(new Date())}`
+        : toDayKey(new Date());
+
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `letsfocus-sessions-${span}.${format}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the browser a moment to start the download before releasing the file
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
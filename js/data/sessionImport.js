@@ -0,0 +1,246 @@
+/* ============================================
+   SESSION IMPORT - Restore JSON & CSV Backups
+   ============================================ */
+
+import { putSessions, getSessionKeys, getSessionKey } from './sessionDb.js';
+import { EXPORT_FORMAT_VERSION } from './sessionExport.js';
+import { describeBackupSections, restoreBackupSections } from './backup.js';
+
+const SESSION_TYPES = ['work', 'break'];
+
+// Fields worked out again when a session is stored
+const DERIVED_FIELDS = ['key', 'day'];
+
+// Optional fields, dropped when they don't hold the right kind of value
+const NUMBER_FIELDS = [
+    'plannedDuration', 'pausedDuration', 'pauseCount',
+    'distractionCount', 'awayDuration', 'extendedBy', 'rating'
+];
+const DATE_FIELDS = ['startedAt', 'endedAt'];
+const TEXT_FIELDS = ['profile', 'mode', 'outcome', 'intent', 'taskTitle', 'endAction', 'note', 'date'];
+
+/**
+ * Parse CSV text into rows of fields (RFC 4180 quoting)
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter((fields) => fields.some((value) => value.trim() !== ''));
+}
+
+/**
+ * Parse an optional number column
+ */
+function toNumber(value) {
+    if (value === undefined || value === '') return undefined;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : undefined;
+}
+
+/**
+ * Turn a row of the CSV export back into a session entry
+ */
+function csvRowToSession(headers, fields) {
+    const row = Object.fromEntries(headers.map((header, index) => [header, fields[index] ?? '']));
+    const session = {
+        type: row.type,
+        duration: toNumber(row.minutes),
+        plannedDuration: toNumber(row.planned_minutes),
+        pausedDuration: toNumber(row.paused_minutes),
+        pauseCount: toNumber(row.pauses),
+        distractionCount: toNumber(row.distractions),
+        awayDuration: toNumber(row.away_minutes),
+        profile: row.profile || undefined,
+        mode: row.mode || undefined,
+        outcome: row.outcome || undefined,
+        intent: row.intent || undefined,
+        tags: row.tags ? row.tags.split(';').filter(Boolean) : undefined,
+        taskTitle: row.task || undefined,
+        endAction: row.end_action || undefined,
+        extendedBy: toNumber(row.extended_by),
+        rating: toNumber(row.rating),
+        note: row.note || undefined,
+        startedAt: row.start || undefined,
+        endedAt: row.end || undefined,
+        // Files without a timestamp column fall back to the end time
+        timestamp: row.timestamp || row.end
+    };
+
+    return Object.fromEntries(Object.entries(session).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Validate one imported session and put it in the stored shape
+ * @returns {Object|null} The session, or null if it is invalid
+ */
+function normalizeSession(raw) {
+    if (!raw || typeof raw !== 'object' || !SESSION_TYPES.includes(raw.type)) return null;
+
+    const time = new Date(raw.timestamp);
+    if (Number.isNaN(time.getTime())) return null;
+    if (!Number.isFinite(raw.duration) || raw.duration < 0) return null;
+
+    const session = { ...raw, timestamp: time.toISOString() };
+    DERIVED_FIELDS.forEach((field) => delete session[field]);
+
+    // History, stats and export expect these to be well formed
+    NUMBER_FIELDS.forEach((field) => {
+        if (field in session && !(Number.isFinite(session[field]) && session[field] >= 0)) delete session[field];
+    });
+    DATE_FIELDS.forEach((field) => {
+        if (!(field in session)) return;
+        const date = new Date(session[field]);
+        if (typeof session[field] === 'string' && !Number.isNaN(date.getTime())) {
+            session[field] = date.toISOString();
+        } else {
+            delete session[field];
+        }
+    });
+    TEXT_FIELDS.forEach((field) => {
+        if (field in session && typeof session[field] !== 'string') delete session[field];
+    });
+    if ('tags' in session) {
+        const tags = Array.isArray(session.tags) ? session.tags.filter((tag) => typeof tag === 'string' && tag) : [];
+        if (tags.length > 0) {
+            session.tags = tags;
+        } else {
+            delete session.tags;
+        }
+    }
+
+    return session;
+}
+
+/**
+ * Read the sessions and backup sections from a JSON backup
+ */
+function parseJsonBackup(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        return { error: 'This file is not valid JSON.' };
+    }
+
+    // A bare list of sessions is accepted too
+    if (Array.isArray(data)) {
+        return { rawSessions: data, sections: {} };
+    }
+    if (!data || data.app !== 'LetsFocus' || !Array.isArray(data.sessions)) {
+        return { error: 'This is not a LetsFocus backup.' };
+    }
+    if (data.version > EXPORT_FORMAT_VERSION) {
+        return { error: 'This backup was made by a newer version of LetsFocus.' };
+    }
+
+    return { rawSessions: data.sessions, sections: data.sections || {} };
+}
+
+/**
+ * Read the sessions from a CSV export
+ */
+function parseCsvExport(text) {
+    const [headers = [], ...rows] = parseCsv(text);
+    const columns = headers.map((header) => header.trim().toLowerCase());
+
+    if (!columns.includes('type') || !columns.includes('minutes')
+        || !(columns.includes('timestamp') || columns.includes('end'))) {
+        return { error: 'This CSV is missing the type, minutes and end columns of a LetsFocus export.' };
+    }
+
+    return { rawSessions: rows.map((fields) => csvRowToSession(columns, fields)), sections: {} };
+}
+
+/**
+ * Parse and validate a backup file
+ * @param {string} text - File contents, a JSON backup or a CSV export
+ * @returns {{ sessions: Array<Object>, skipped: number, sections: Object, error: string|null }}
+ */
+export function parseBackupFile(text) {
+    const isJson = /^\s*[[{]/.test(text);
+    const { rawSessions, sections, error } = isJson ? parseJsonBackup(text) : parseCsvExport(text);
+    if (error) {
+        return { sessions: [], skipped: 0, sections: {}, error };
+    }
+
+    // Duplicates within the file collapse onto their last copy
+    const sessions = new Map();
+    let skipped = 0;
+    rawSessions.forEach((raw) => {
+        const session = normalizeSession(raw);
+        if (session) {
+            sessions.set(getSessionKey(session), session);
+        } else {
+            skipped++;
+        }
+    });
+
+    return { sessions: [...sessions.values()], skipped, sections, error: null };
+}
+
+/**
+ * Work out what importing a parsed backup would change
+ * Sessions already in history (same timestamp and type) are left alone
+ * @param {Object} backup - Result of parseBackupFile()
+ * @returns {Promise<{ newSessions: Array<Object>, duplicates: number, skipped: number,
+ *                     sectionChanges: Array<Object>, sections: Object }>}
+ */
+export async function previewImport(backup) {
+    const existingKeys = await getSessionKeys();
+    const newSessions = backup.sessions.filter((session) => !existingKeys.has(getSessionKey(session)));
+
+    return {
+        newSessions,
+        duplicates: backup.sessions.length - newSessions.length,
+        skipped: backup.skipped,
+        sectionChanges: describeBackupSections(backup.sections),
+        sections: backup.sections
+    };
+}
+
+/**
+ * Commit a previewed import
+ * @param {Object} preview - Result of previewImport()
+ */
+export async function applyImport(preview) {
+    if (preview.newSessions.length > 0) {
+        await putSessions(preview.newSessions);
+    }
+    restoreBackupSections(preview.sections, preview.sectionChanges.map(({ name }) => name));
+}
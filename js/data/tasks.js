@@ -0,0 +1,203 @@
+/* ============================================
+   TASKS - Task List with Pomodoro Estimates
+   ============================================ */
+
+import { registerBackupSection } from './backup.js';
+
+const STORAGE_KEY = 'letsfocus_tasks';
+const MAX_TITLE_LENGTH = 120;
+const MAX_ESTIMATE = 20;
+
+const listeners = [];
+let state = loadTasks();
+
+/**
+ * Keep only entries shaped like a saved task, with well-formed counts
+ */
+function sanitizeTasks(raw) {
+    const tasks = Array.isArray(raw?.tasks)
+        ? raw.tasks
+            .filter((task) => task?.id && typeof task.title === 'string')
+            .map((task) => {
+                const pomodoros = Math.round(Number(task.pomodoros));
+                return {
+                    ...task,
+                    estimate: clampEstimate(task.estimate),
+                    pomodoros: Number.isFinite(pomodoros) ? Math.max(0, pomodoros) : 0,
+                    done: task.done === true
+                };
+            })
+        : [];
+    const activeTaskId = tasks.some((task) => task.id === raw?.activeTaskId) ? raw.activeTaskId : null;
+    return { tasks, activeTaskId };
+}
+
+/**
+ * Load tasks from localStorage
+ */
+function loadTasks() {
+    try {
+        const data = localStorage.getItem(STORAGE_KEY);
+        return sanitizeTasks(data ? JSON.parse(data) : null);
+    } catch (error) {
+        console.warn('Failed to load tasks:', error);
+        return { tasks: [], activeTaskId: null };
+    }
+}
+
+/**
+ * Persist tasks and notify listeners
+ */
+function commitTasks(next) {
+    state = sanitizeTasks(next);
+
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    } catch (error) {
+        console.warn('Failed to save tasks:', error);
+    }
+
+    listeners.forEach((listener) => listener());
+}
+
+/**
+ * Clamp an estimate to a whole number of pomodoros
+ */
+function clampEstimate(value) {
+    const estimate = Math.round(Number(value));
+    return Number.isFinite(estimate) ? Math.max(1, Math.min(MAX_ESTIMATE, estimate)) : 1;
+}
+
+/**
+ * Get all tasks, in the order they were added
+ */
+export function getTasks() {
+    return state.tasks.map((task) => ({ ...task }));
+}
+
+/**
+ * Get the task pomodoros are counted against, if any
+ */
+export function getActiveTask() {
+    const task = state.tasks.find((existing) => existing.id === state.activeTaskId);
+    return task ? { ...task } : null;
+}
+
+/**
+ * Add a task
+ * @param {string} title - What needs doing
+ * @param {number} estimate - Estimated pomodoros
+ * @returns {Object|null} The new task, or null if the title is empty
+ */
+export function addTask(title, estimate) {
+    const trimmed = String(title).trim().slice(0, MAX_TITLE_LENGTH);
+    if (!trimmed) return null;
+
+    const task = {
+        id: `task_${Date.now()}`,
+        title: trimmed,
+        estimate: clampEstimate(estimate),
+        pomodoros: 0,
+        done: false,
+        createdAt: new Date().toISOString()
+    };
+
+    // The first open task becomes active so pomodoros count straight away
+    const hasOpenActive = getActiveTask() && !getActiveTask().done;
+    commitTasks({
+        tasks: [...state.tasks, task],
+        activeTaskId: hasOpenActive ? state.activeTaskId : task.id
+    });
+    return task;
+}
+
+/**
+ * Update a task's title, estimate or done state
+ * Finishing the active task stops counting pomodoros against it
+ */
+export function updateTask(id, changes) {
+    const tasks = state.tasks.map((task) => {
+        if (task.id !== id) return task;
+        return {
+            ...task,
+            ...(changes.title !== undefined ? { title: String(changes.title).trim().slice(0, MAX_TITLE_LENGTH) || task.title } : {}),
+            ...(changes.estimate !== undefined ? { estimate: clampEstimate(changes.estimate) } : {}),
+            ...(changes.done !== undefined ? { done: Boolean(changes.done) } : {})
+        };
+    });
+    const activeTaskId = changes.done && id === state.activeTaskId ? null : state.activeTaskId;
+    commitTasks({ tasks, activeTaskId });
+}
+
+/**
+ * Delete a task
+ */
+export function deleteTask(id) {
+    commitTasks({
+        tasks: state.tasks.filter((task) => task.id !== id),
+        activeTaskId: state.activeTaskId
+    });
+}
+
+/**
+ * Remove every finished task
+ */
+export function clearDoneTasks() {
+    commitTasks({
+        tasks: state.tasks.filter((task) => !task.done),
+        activeTaskId: state.activeTaskId
+    });
+}
+
+/**
+ * Choose the task pomodoros are counted against (null for none)
+ */
+export function setActiveTask(id) {
+    commitTasks({ tasks: state.tasks, activeTaskId: id });
+}
+
+/**
+ * Count a finished focus session against the active task
+ * @returns {Object|null} The updated task, or null if none is active
+ */
+export function recordPomodoro() {
+    const active = getActiveTask();
+    if (!active) return null;
+
+    commitTasks({
+        tasks: state.tasks.map((task) => (task.id === active.id ? { ...task, pomodoros: task.pomodoros + 1 } : task)),
+        activeTaskId: state.activeTaskId
+    });
+    return getActiveTask();
+}
+
+/**
+ * Task fields to store on a history entry
+ */
+export function getTaskDetails() {
+    const active = getActiveTask();
+    return active ? { taskId: active.id, taskTitle: active.title } : {};
+}
+
+/**
+ * Register a listener called after every change to the tasks
+ */
+export function onTasksChange(listener) {
+    listeners.push(listener);
+}
+
+registerBackupSection('tasks', {
+    label: 'Tasks',
+    read: () => ({ ...state }),
+    describe: (data) => {
+        const existing = new Set(state.tasks.map((task) => task.id));
+        const added = sanitizeTasks(data).tasks.filter((task) => !existing.has(task.id)).length;
+        return added > 0 ? `${added} added` : null;
+    },
+    // Tasks are merged by id - local progress wins for tasks in both
+    restore: (data) => {
+        const existing = new Set(state.tasks.map((task) => task.id));
+        const added = sanitizeTasks(data).tasks.filter((task) => !existing.has(task.id));
+        commitTasks({ tasks: [...state.tasks, ...added], activeTaskId: state.activeTaskId });
+    }
+});
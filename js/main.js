@@ -2,17 +2,45 @@
    MAIN - Application Initialization & Events
    ============================================ */
 
-import { startTimer, pauseTimer, stopTimer, getFormattedTime, requestNotificationPermission } from './timer/timerControls.js';
-import { getTimerState, setTimerValues } from './timer/timerState.js';
-import { initStatus, updateStatus } from './ui/status.js';
-import { initProfilePicker, getCurrentProfile, selectProfileByIndex } from './ui/profilePicker.js';
+import {
+    startTimer,
+    pauseTimer,
+    stopTimer,
+    getFormattedTime,
+    requestNotificationPermission,
+    restoreSession,
+    syncActiveSession,
+    hasActiveSession,
+    setTimerStateListener,
+    cancelAutoStart,
+    finishFlowSession,
+    runSessionEndAction,
+    SESSION_END_ACTIONS
+} from './timer/timerControls.js';
+import { getTimerState, getCurrentPhase, setTimerValues, resetTimer, setFlowMode, isPhaseFresh } from './timer/timerState.js';
+import { loadActiveSession } from './timer/sessionPersistence.js';
+import { getActiveRoutine, PHASE_LABELS } from './timer/routines.js';
+import { initStatus, updateStatus, setStatusActions, clearStatusActions } from './ui/status.js';
+import { initProfilePicker, getCurrentProfile, selectProfileByIndex, selectProfileById } from './ui/profilePicker.js';
 import { setProfile } from './audio/audioController.js';
 import { initVolume, setMasterVolume } from './audio/volumeController.js';
 import { initKeyboardShortcuts } from './ui/keyboardShortcuts.js';
+import { initSettingsPanel } from './ui/settingsPanel.js';
+import { initRoutinesPanel } from './ui/routinesPanel.js';
+import { initHistoryPanel } from './ui/historyPanel.js';
+import { initStatsPanel } from './ui/statsPanel.js';
+import { initProfileReportPanel } from './ui/profileReportPanel.js';
+import { initMixerPanel } from './ui/mixerPanel.js';
+import { initProfileEditor } from './ui/profileEditor.js';
+import { initIntentInput, updateIntentDisplay } from './ui/intentInput.js';
+import { initTaskList } from './ui/taskList.js';
+import { initGoalProgress } from './ui/goalProgress.js';
+import { onNotificationAction } from './ui/notify.js';
+import { onSettingsChange } from './settings.js';
 import { CONFIG } from './config.js';
 
 // DOM Elements
-let timerDisplay, startBtn, stopBtn, statusDiv, profileGrid, increaseTimeBtn, decreaseTimeBtn, volumeSlider;
+let timerDisplay, phaseInfo, startBtn, stopBtn, statusDiv, profileGrid, increaseTimeBtn, decreaseTimeBtn, volumeSlider, flowModeBtn;
 
 /**
  * Update the timer display
@@ -21,6 +49,24 @@ function updateTimerDisplay() {
     if (timerDisplay) {
         timerDisplay.textContent = getFormattedTime();
     }
+    if (phaseInfo) {
+        const { phaseIndex, phaseCount, isFlowMode, isExtension } = getTimerState();
+        const name = isFlowMode ? 'Flow' : getActiveRoutine().name;
+        const phase = getCurrentPhase();
+        phaseInfo.textContent = isExtension
+            ? `${name} · ${PHASE_LABELS[phase.type]} +${phase.minutes} min`
+            : `${name} · ${PHASE_LABELS[phase.type]} ${phaseIndex + 1}/${phaseCount}`;
+    }
+}
+
+/**
+ * Apply changed durations or routines right away if no session is in progress
+ */
+function applyIdleTimerChanges() {
+    if (!hasActiveSession()) {
+        resetTimer();
+    }
+    updateTimerDisplay();
 }
 
 /**
@@ -33,12 +79,77 @@ function updateStartButton() {
     }
 }
 
+/**
+ * Update time button states based on timer state
+ */
+function updateTimeButtonsState() {
+    const { isRunning, isCountingUp, isFlowMode } = getTimerState();
+    // Flow sessions have no target time to adjust
+    const isLocked = isRunning || isCountingUp;
+    if (increaseTimeBtn) increaseTimeBtn.disabled = isLocked;
+    if (decreaseTimeBtn) decreaseTimeBtn.disabled = isLocked;
+
+    // Also disable preset buttons when running
+    const presetButtons = document.querySelectorAll('.preset-btn');
+    presetButtons.forEach(btn => btn.disabled = isLocked);
+
+    // Flow mode can only be switched between sessions
+    if (flowModeBtn) {
+        flowModeBtn.disabled = hasActiveSession();
+        flowModeBtn.setAttribute('aria-pressed', isFlowMode ? 'true' : 'false');
+    }
+    stopBtn.textContent = isCountingUp && hasActiveSession() ? 'FINISH' : 'RESET';
+
+    // The intent can be changed whenever the timer isn't running
+    updateIntentDisplay(!isRunning);
+}
+
+/**
+ * Throw away the current session and reset the controls
+ */
+function discardSession() {
+    const result = stopTimer(updateTimerDisplay);
+    startBtn.textContent = result.text;
+    stopBtn.disabled = result.disabled;
+    updateStatus(CONFIG.MESSAGES.READY, false);
+    updateTimeButtonsState();
+}
+
+/**
+ * Restore a session left in progress by a reload or crash
+ */
+function restoreSavedSession() {
+    const session = loadActiveSession();
+    if (!session) return;
+
+    selectProfileById(session.profileId);
+    const hasExpired = restoreSession(session, updateTimerDisplay);
+    stopBtn.disabled = false;
+
+    if (hasExpired) {
+        startBtn.textContent = 'START';
+        updateStatus(CONFIG.MESSAGES.SESSION_EXPIRED, true);
+        return;
+    }
+
+    const { isBreakMode, isCountingUp } = getTimerState();
+    const phase = isBreakMode ? 'break' : 'focus session';
+    const progress = isCountingUp ? `${getFormattedTime()} in flow so far` : `${getFormattedTime()} left`;
+    startBtn.textContent = 'RESUME';
+    updateStatus(`Resume your ${phase}? ${progress}`, true);
+    setStatusActions([
+        { label: 'Resume', onClick: () => startBtn.click() },
+        { label: 'Discard', onClick: discardSession }
+    ]);
+}
+
 /**
  * Initialize the application
  */
 function init() {
     // Get DOM elements
     timerDisplay = document.getElementById('timer');
+    phaseInfo = document.getElementById('phaseInfo');
     startBtn = document.getElementById('startBtn');
     stopBtn = document.getElementById('stopBtn');
     statusDiv = document.getElementById('status');
@@ -46,9 +157,10 @@ function init() {
     increaseTimeBtn = document.getElementById('increaseTime');
     decreaseTimeBtn = document.getElementById('decreaseTime');
     volumeSlider = document.getElementById('volumeSlider');
+    flowModeBtn = document.getElementById('flowModeBtn');
 
     // Initialize UI modules
-    initStatus(statusDiv);
+    initStatus(statusDiv, document.getElementById('statusActions'));
     initVolume();
 
     // Request notification permission
@@ -57,6 +169,7 @@ function init() {
     // Initialize profile picker
     initProfilePicker(profileGrid, (profile) => {
         setProfile(profile);
+        syncActiveSession();
         const profileName = profile.name;
         updateStatus(`Profile changed to: ${profileName}`, true);
     });
@@ -68,20 +181,39 @@ function init() {
     // Initialize display
     updateTimerDisplay();
 
-    // Update time button states based on timer state
-    const updateTimeButtonsState = () => {
-        const { isRunning } = getTimerState();
-        if (increaseTimeBtn) increaseTimeBtn.disabled = isRunning;
-        if (decreaseTimeBtn) decreaseTimeBtn.disabled = isRunning;
+    // Offer to resume a session interrupted by a reload or crash
+    restoreSavedSession();
 
-        // Also disable preset buttons when running
-        const presetButtons = document.querySelectorAll('.preset-btn');
-        presetButtons.forEach(btn => btn.disabled = isRunning);
-    };
+    // Intent and tags for the next session - Enter starts the timer
+    initIntentInput(() => {
+        if (!getTimerState().isRunning) startBtn.click();
+    });
+
+    initTaskList();
+    initGoalProgress();
+
+    // Settings and routines panels
+    initSettingsPanel();
+    initRoutinesPanel(applyIdleTimerChanges);
+    initHistoryPanel();
+    initStatsPanel();
+    initProfileReportPanel();
+    initMixerPanel();
+    initProfileEditor();
+    onSettingsChange(applyIdleTimerChanges);
+
+    // Keep controls in sync when sessions finish or phases start automatically
+    setTimerStateListener(() => {
+        const { isRunning } = getTimerState();
+        startBtn.textContent = isRunning ? 'PAUSE' : isPhaseFresh() ? 'START' : 'RESUME';
+        stopBtn.disabled = !hasActiveSession();
+        updateTimeButtonsState();
+    });
 
     // Event Listeners
     startBtn.addEventListener('click', () => {
         const { isRunning } = getTimerState();
+        clearStatusActions();
 
         if (isRunning) {
             const result = pauseTimer();
@@ -99,6 +231,18 @@ function init() {
     });
 
     stopBtn.addEventListener('click', () => {
+        clearStatusActions();
+
+        // In flow mode the button finishes the session and earns a break
+        if (getTimerState().isCountingUp) {
+            const result = finishFlowSession(updateTimerDisplay);
+            if (result) {
+                startBtn.textContent = result.text;
+                updateTimeButtonsState();
+                return;
+            }
+        }
+
         const result = stopTimer(updateTimerDisplay);
         if (result) {
             startBtn.textContent = result.text;
@@ -115,6 +259,7 @@ function init() {
             if (isRunning) return; // Don't allow changes while running
 
             setTimerValues(minutes + CONFIG.TIMER.TIME_ADJUSTMENT_STEP, seconds);
+            syncActiveSession();
             updateTimerDisplay();
         });
     }
@@ -126,6 +271,7 @@ function init() {
 
             if (minutes >= CONFIG.TIMER.MIN_TIMER_MINUTES) {
                 setTimerValues(minutes - CONFIG.TIMER.TIME_ADJUSTMENT_STEP, seconds);
+                syncActiveSession();
                 updateTimerDisplay();
             }
         });
@@ -138,6 +284,19 @@ function init() {
         });
     }
 
+    // Flow mode toggle - count up instead of down
+    if (flowModeBtn) {
+        flowModeBtn.addEventListener('click', () => {
+            if (hasActiveSession()) return;
+
+            const { isFlowMode } = getTimerState();
+            setFlowMode(!isFlowMode);
+            updateTimerDisplay();
+            updateTimeButtonsState();
+            updateStatus(isFlowMode ? CONFIG.MESSAGES.READY : CONFIG.MESSAGES.FLOW_READY, !isFlowMode);
+        });
+    }
+
     // Set initial time button states
     updateTimeButtonsState();
 
@@ -150,6 +309,7 @@ function init() {
 
             const minutes = parseInt(btn.getAttribute('data-minutes'));
             setTimerValues(minutes, 0);
+            syncActiveSession();
             updateTimerDisplay();
             updateStatus(`Timer set to ${minutes} minutes`, true);
             setTimeout(() => {
@@ -181,9 +341,20 @@ function init() {
         },
         onSelectProfile: (index) => {
             selectProfileByIndex(index);
-        }
+        },
+        onCancel: () => {
+            if (cancelAutoStart()) {
+                updateStatus(CONFIG.MESSAGES.AUTO_START_CANCELLED, false);
+            }
+        },
+        onExtend: () => runSessionEndAction(SESSION_END_ACTIONS.EXTEND, updateTimerDisplay),
+        onSkipBreak: () => runSessionEndAction(SESSION_END_ACTIONS.SKIP_BREAK, updateTimerDisplay),
+        onEndCycle: () => runSessionEndAction(SESSION_END_ACTIONS.END_CYCLE, updateTimerDisplay)
     });
 
+    // Extend, skip break and end cycle buttons on session end notifications
+    onNotificationAction((action) => runSessionEndAction(action, updateTimerDisplay));
+
     // Register service worker for PWA support (production only)
     if ('serviceWorker' in navigator && import.meta.env.PROD) {
         navigator.serviceWorker.register('/sw.js')
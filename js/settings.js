@@ -0,0 +1,188 @@
+/* ============================================
+   SETTINGS - User Preferences & Persistence
+   ============================================ */
+
+import { CONFIG } from './config.js';
+import { registerBackupSection } from './data/backup.js';
+
+const STORAGE_KEY = 'letsfocus_settings';
+
+const DEFAULT_SETTINGS = {
+    focusMinutes: CONFIG.TIMER.DEFAULT_MINUTES,
+    shortBreakMinutes: CONFIG.TIMER.BREAK_MINUTES,
+    longBreakMinutes: CONFIG.TIMER.LONG_BREAK_MINUTES,
+    sessionsBeforeLongBreak: CONFIG.TIMER.SESSIONS_BEFORE_LONG_BREAK,
+    extendMinutes: 5,
+    routineId: 'classic',
+    autoCycle: false,
+    autoCycleCount: 4,
+    autoStartDelay: 10,
+    flowBreakMethod: 'ratio',
+    flowBreakRatio: 5,
+    flowBreakTiers: '25:5, 50:8, 90:10, 15',
+    reflectionPrompt: true,
+    crossfadeSeconds: 4,
+    fadeInSeconds: 2,
+    fadeOutSeconds: 3,
+    windDown: true,
+    trackDistractions: true,
+    autoPause: false,
+    autoPauseFocusMinutes: 5,
+    autoPauseBreakMinutes: 5,
+    dailyGoalType: 'off',
+    dailyGoalMinutes: 120,
+    dailyGoalSessions: 8
+};
+
+/**
+ * Allowed range of every numeric setting, shared with the settings panel
+ * Counts must be whole numbers - a routine can't have 2.5 sessions
+ */
+export const SETTING_LIMITS = {
+    focusMinutes: { min: 1, max: 180 },
+    shortBreakMinutes: { min: 1, max: 60 },
+    longBreakMinutes: { min: 1, max: 90 },
+    sessionsBeforeLongBreak: { min: 1, max: 12, integer: true },
+    extendMinutes: { min: 1, max: 60 },
+    autoCycleCount: { min: 1, max: 24, integer: true },
+    autoStartDelay: { min: 0, max: 120 },
+    flowBreakRatio: { min: 1, max: 20 },
+    crossfadeSeconds: { min: 0, max: 20 },
+    fadeInSeconds: { min: 0, max: 20 },
+    fadeOutSeconds: { min: 0, max: 20 },
+    autoPauseFocusMinutes: { min: 1, max: 120 },
+    autoPauseBreakMinutes: { min: 1, max: 60 },
+    dailyGoalMinutes: { min: 5, max: 720 },
+    dailyGoalSessions: { min: 1, max: 24, integer: true }
+};
+
+/**
+ * Values the text settings can take
+ * Built-in routine ids and saved custom ones - a custom routine deleted since
+ * falls back to classic Pomodoro in routines.js
+ */
+const SETTING_CHOICES = {
+    routineId: (value) => /^(classic|fifty_two_seventeen|ultradian|warm_up|custom_\d+)$/.test(value),
+    flowBreakMethod: (value) => ['ratio', 'tiers'].includes(value),
+    dailyGoalType: (value) => ['off', 'minutes', 'sessions'].includes(value)
+};
+
+const listeners = [];
+let settings = loadSettings();
+
+/**
+ * Pick the known keys whose type matches the default value, with numbers
+ * within their range and choices checked
+ * @param {Object} raw - Settings to check
+ * @param {boolean} [clamp] - Pull out-of-range numbers into range instead
+ *   of dropping them
+ * @returns {Object} Only the usable settings found in raw
+ */
+function pickValidSettings(raw, clamp = false) {
+    const clean = {};
+    if (!raw || typeof raw !== 'object') return clean;
+
+    Object.keys(DEFAULT_SETTINGS).forEach((key) => {
+        let value = raw[key];
+        const expected = DEFAULT_SETTINGS[key];
+        if (typeof value !== typeof expected) return;
+        if (typeof value === 'number') {
+            if (!Number.isFinite(value)) return;
+            const limits = SETTING_LIMITS[key];
+            if (limits) {
+                const inRange = Math.max(limits.min, Math.min(limits.max, limits.integer ? Math.round(value) : value));
+                if (!clamp && inRange !== value) return;
+                value = inRange;
+            }
+        }
+        if (SETTING_CHOICES[key] && !SETTING_CHOICES[key](value)) return;
+        clean[key] = value;
+    });
+
+    return clean;
+}
+
+/**
+ * Build a full settings object, with numbers clamped into range and defaults
+ * for anything missing or unusable
+ */
+function sanitizeSettings(raw) {
+    return { ...DEFAULT_SETTINGS, ...pickValidSettings(raw, true) };
+}
+
+/**
+ * Load settings from localStorage, falling back to defaults
+ */
+function loadSettings() {
+    try {
+        const data = localStorage.getItem(STORAGE_KEY);
+        return sanitizeSettings(data ? JSON.parse(data) : null);
+    } catch (error) {
+        console.warn('Failed to load settings:', error);
+        return { ...DEFAULT_SETTINGS };
+    }
+}
+
+/**
+ * Persist settings and notify listeners
+ */
+function commitSettings(next) {
+    settings = sanitizeSettings(next);
+
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch (error) {
+        console.warn('Failed to save settings:', error);
+    }
+
+    listeners.forEach((listener) => listener(getSettings()));
+}
+
+/**
+ * Get the current settings
+ */
+export function getSettings() {
+    return { ...settings };
+}
+
+/**
+ * Get the built-in default settings
+ */
+export function getDefaultSettings() {
+    return { ...DEFAULT_SETTINGS };
+}
+
+/**
+ * Update one or more settings
+ * @param {Object} changes - Partial settings object
+ */
+export function updateSettings(changes) {
+    commitSettings({ ...settings, ...changes });
+}
+
+/**
+ * Restore all settings to their defaults
+ */
+export function resetSettings() {
+    commitSettings(DEFAULT_SETTINGS);
+}
+
+/**
+ * Register a listener called with the new settings after every change
+ */
+export function onSettingsChange(listener) {
+    listeners.push(listener);
+}
+
+registerBackupSection('settings', {
+    label: 'Settings',
+    read: getSettings,
+    describe: (data) => {
+        const next = { ...settings, ...pickValidSettings(data) };
+        const changed = Object.keys(next).filter((key) => next[key] !== settings[key]).length;
+        return changed > 0 ? `${changed} ${changed === 1 ? 'setting' : 'settings'} will change` : null;
+    },
+    // Values from old or hand-edited backups that are out of range are
+    // skipped, keeping the current setting
+    restore: (data) => commitSettings({ ...settings, ...pickValidSettings(data) })
+});
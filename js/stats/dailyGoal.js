@@ -0,0 +1,69 @@
+/* ============================================
+   DAILY GOAL - Target Focus Minutes or Sessions
+   ============================================ */
+
+import { getSettings } from '../settings.js';
+import { getSessions, toDayKey } from '../ui/sessionHistory.js';
+
+export const GOAL_TYPES = {
+    OFF: 'off',
+    MINUTES: 'minutes',
+    SESSIONS: 'sessions'
+};
+
+/**
+ * Get the daily goal from settings
+ * @returns {{ type: string, target: number }|null} Null when no goal is set
+ */
+export function getDailyGoal() {
+    const { dailyGoalType, dailyGoalMinutes, dailyGoalSessions } = getSettings();
+    if (dailyGoalType === GOAL_TYPES.MINUTES) return { type: dailyGoalType, target: dailyGoalMinutes };
+    if (dailyGoalType === GOAL_TYPES.SESSIONS) return { type: dailyGoalType, target: dailyGoalSessions };
+    return null;
+}
+
+/**
+ * Measure one day's sessions against a goal type
+ * Minutes count all time focused, sessions only completed focus sessions
+ * (extensions belong to the session they extended)
+ */
+export function getGoalValue(daySessions, type) {
+    const work = daySessions.filter((session) => session.type === 'work');
+    if (type === GOAL_TYPES.SESSIONS) {
+        return work.filter((session) => (session.outcome || 'completed') === 'completed' && session.mode !== 'extension').length;
+    }
+    return work.reduce((total, session) => total + (session.duration || 0), 0);
+}
+
+/**
+ * Build the check getStreaks() uses to decide whether a day counts
+ * With a goal set, a streak day is one where the goal was met
+ * @returns {Function|undefined} Undefined without a goal, for the default check
+ */
+export function getGoalDayCheck(goal = getDailyGoal()) {
+    if (!goal) return undefined;
+    return (daySessions) => getGoalValue(daySessions, goal.type) >= goal.target;
+}
+
+/**
+ * Get today's progress towards the daily goal
+ * @returns {Promise<{ type: string, target: number, value: number, isMet: boolean }|null>}
+ */
+export async function getTodayProgress(now = new Date()) {
+    const goal = getDailyGoal();
+    if (!goal) return null;
+
+    const today = toDayKey(now);
+    const sessions = await getSessions({ from: today, to: today, type: 'work' });
+    const value = getGoalValue(sessions, goal.type);
+    return { ...goal, value, isMet: value >= goal.target };
+}
+
+/**
+ * Format progress like "3/8 sessions" or "45/120 min"
+ */
+export function formatGoalProgress({ type, value, target }) {
+    return type === GOAL_TYPES.SESSIONS
+        ? `${value}/${target} ${target === 1 ? 'session' : 'sessions'}`
+        : `${Math.floor(value)}/${target} min`;
+}
@@ -0,0 +1,72 @@
+/* ============================================
+   PROFILE REPORT - How Each Sound Profile Performs
+   ============================================ */
+
+import { getAllProfiles } from '../audio/soundProfiles.js';
+import { getTimeOfDay } from './sessionStats.js';
+
+// Fewer sessions than this say more about luck than about the sound
+const MIN_SESSIONS = 3;
+const MIN_RATED = 2;
+
+/**
+ * Average a list of numbers, null when empty
+ */
+function average(values) {
+    return values.length > 0 ? values.reduce((total, value) => total + value, 0) / values.length : null;
+}
+
+/**
+ * Summarize the focus sessions played with one profile
+ */
+function summarize(profile, sessions) {
+    const completed = sessions.filter((session) => (session.outcome || 'completed') === 'completed').length;
+    const abandoned = sessions.filter((session) => session.outcome === 'abandoned').length;
+    const ratings = sessions.map((session) => session.rating).filter(Number.isFinite);
+    const pauses = sessions.map((session) => session.pauseCount).filter(Number.isFinite);
+
+    return {
+        profile,
+        sessions: sessions.length,
+        minutes: sessions.reduce((total, session) => total + (session.duration || 0), 0),
+        completionRate: sessions.length > 0 ? completed / sessions.length : null,
+        abandonRate: sessions.length > 0 ? abandoned / sessions.length : null,
+        averagePauses: average(pauses),
+        averageRating: average(ratings),
+        ratedCount: ratings.length
+    };
+}
+
+/**
+ * Compare every sound profile by how its focus sessions went
+ * History stores profile names, so sessions are matched to profiles by name
+ * Extensions continue a session that already counted, so they are left out
+ * @param {Array<Object>} sessions - History entries
+ * @returns {Array<Object>} One summary per profile, most used first
+ */
+export function getProfileReport(sessions) {
+    const work = sessions.filter((session) => session.type === 'work' && session.mode !== 'extension');
+    return getAllProfiles()
+        .map((profile) => summarize(profile, work.filter((session) => session.profile === profile.name)))
+        .sort((a, b) => b.sessions - a.sessions);
+}
+
+/**
+ * Recommend the profile that works best at a time of day
+ * Ratings decide when enough sessions were rated, completion rate otherwise
+ * @param {string} timeOfDayId - Id from TIMES_OF_DAY, e.g. 'morning'
+ * @returns {{ summary: Object, basis: 'rating'|'completion' }|null} Null without enough data
+ */
+export function getBestProfile(sessions, timeOfDayId) {
+    const atTime = sessions.filter((session) => getTimeOfDay(session).id === timeOfDayId);
+    const candidates = getProfileReport(atTime).filter((summary) => summary.sessions >= MIN_SESSIONS);
+    if (candidates.length === 0) return null;
+
+    const rated = candidates.filter((summary) => summary.ratedCount >= MIN_RATED);
+    const [basis, pool, score] = rated.length > 0
+        ? ['rating', rated, (summary) => summary.averageRating]
+        : ['completion', candidates, (summary) => summary.completionRate];
+
+    const [best] = [...pool].sort((a, b) => score(b) - score(a) || b.sessions - a.sessions);
+    return { summary: best, basis };
+}
@@ -0,0 +1,272 @@
+/* ============================================
+   SESSION STATS - Totals, Streaks & Heatmap Data
+   ============================================ */
+
+import { getSessionDay, toDayKey } from '../ui/sessionHistory.js';
+
+const HEATMAP_LEVELS = 4;
+
+/**
+ * Parts of the day, by the hour a session started
+ */
+export const TIMES_OF_DAY = [
+    { id: 'morning', label: 'Morning', from: 5, to: 12 },
+    { id: 'afternoon', label: 'Afternoon', from: 12, to: 17 },
+    { id: 'evening', label: 'Evening', from: 17, to: 22 },
+    { id: 'night', label: 'Night', from: 22, to: 5 }
+];
+
+const DURATION_BUCKETS = [
+    { label: 'Under 25 min', below: 25 },
+    { label: '25-45 min', below: 45 },
+    { label: '45 min and longer', below: Infinity }
+];
+
+/**
+ * Check whether an entry is a focus session
+ */
+function isWork(session) {
+    return session.type === 'work';
+}
+
+/**
+ * Entries saved before outcomes were recorded only logged completed sessions
+ */
+function getOutcome(session) {
+    return session.outcome || 'completed';
+}
+
+/**
+ * Get a copy of a date moved by a number of days
+ */
+function addDays(date, days) {
+    const next = new Date(date);
+    next.setDate(next.getDate() + days);
+    return next;
+}
+
+/**
+ * Get the Monday that starts the week of a date
+ */
+function getWeekStart(date) {
+    const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    return addDays(start, -((start.getDay() + 6) % 7));
+}
+
+/**
+ * Sum focused minutes per calendar day
+ * @returns {Map<string, number>} YYYY-MM-DD → minutes
+ */
+export function getFocusMinutesByDay(sessions) {
+    const minutesByDay = new Map();
+    sessions.filter(isWork).forEach((session) => {
+        const day = getSessionDay(session);
+        minutesByDay.set(day, (minutesByDay.get(day) || 0) + (session.duration || 0));
+    });
+    return minutesByDay;
+}
+
+/**
+ * Focused minutes today, this week (from Monday) and this month
+ * Abandoned sessions count for the time that was actually focused
+ */
+export function getFocusTotals(sessions, now = new Date()) {
+    const today = toDayKey(now);
+    const weekStart = toDayKey(getWeekStart(now));
+    const monthStart = toDayKey(new Date(now.getFullYear(), now.getMonth(), 1));
+    const totals = { today: 0, week: 0, month: 0 };
+
+    getFocusMinutesByDay(sessions).forEach((minutes, day) => {
+        if (day > today) return;
+        if (day === today) totals.today += minutes;
+        if (day >= weekStart) totals.week += minutes;
+        if (day >= monthStart) totals.month += minutes;
+    });
+
+    return totals;
+}
+
+/**
+ * Count focus sessions by outcome
+ * Extra minutes added to a finished session aren't a session of their own
+ * @returns {{ completed: number, abandoned: number }}
+ */
+export function getOutcomeCounts(sessions) {
+    const counts = { completed: 0, abandoned: 0 };
+    sessions.filter((session) => isWork(session) && session.mode !== 'extension').forEach((session) => {
+        const outcome = getOutcome(session);
+        if (outcome in counts) counts[outcome]++;
+    });
+    return counts;
+}
+
+/**
+ * Sum focused minutes per label, largest first
+ * @param {Function} getLabels - Returns the labels a session counts towards
+ * @returns {Array<{ label: string, minutes: number, sessions: number }>}
+ */
+function groupFocusBy(sessions, getLabels) {
+    const groups = new Map();
+    sessions.filter(isWork).forEach((session) => {
+        getLabels(session).forEach((label) => {
+            const group = groups.get(label) || { label, minutes: 0, sessions: 0 };
+            group.minutes += session.duration || 0;
+            group.sessions++;
+            groups.set(label, group);
+        });
+    });
+    return [...groups.values()].sort((a, b) => b.minutes - a.minutes);
+}
+
+/**
+ * Focused minutes per intent, case-insensitively grouped
+ * Sessions without an intent count towards their task from the task list
+ */
+export function getFocusByIntent(sessions) {
+    const names = new Map();
+    return groupFocusBy(sessions, (session) => {
+        const intent = session.intent || session.taskTitle;
+        if (!intent) return [];
+        // The first spelling seen names the group
+        const key = intent.toLowerCase();
+        if (!names.has(key)) names.set(key, intent);
+        return [names.get(key)];
+    });
+}
+
+/**
+ * Focused minutes per tag (a session counts towards each of its tags)
+ */
+export function getFocusByTag(sessions) {
+    return groupFocusBy(sessions, (session) => (session.tags || []).map((tag) => `#${tag}`));
+}
+
+/**
+ * Get the part of the day a session started in
+ */
+export function getTimeOfDay(session) {
+    const hour = new Date(session.startedAt || session.timestamp).getHours();
+    return TIMES_OF_DAY.find(({ from, to }) => (from < to ? hour >= from && hour < to : hour >= from || hour < to));
+}
+
+/**
+ * Average the ratings of sessions grouped by a label, in first-seen order
+ * @returns {Array<{ label: string, average: number, count: number }>}
+ */
+function averageRatingBy(sessions, getLabel) {
+    const groups = new Map();
+    sessions.forEach((session) => {
+        const label = getLabel(session);
+        const group = groups.get(label) || { label, total: 0, count: 0 };
+        group.total += session.rating;
+        group.count++;
+        groups.set(label, group);
+    });
+    return [...groups.values()].map(({ label, total, count }) => ({ label, average: total / count, count }));
+}
+
+/**
+ * Average focus rating overall and by time of day, length and sound profile
+ * Only focus sessions that were rated count
+ */
+export function getRatingBreakdown(sessions) {
+    const rated = sessions.filter((session) => isWork(session) && Number.isFinite(session.rating));
+    const byOrder = (labels) => (a, b) => labels.indexOf(a.label) - labels.indexOf(b.label);
+
+    return {
+        count: rated.length,
+        average: rated.length > 0 ? rated.reduce((total, session) => total + session.rating, 0) / rated.length : null,
+        byTimeOfDay: averageRatingBy(rated, (session) => getTimeOfDay(session).label)
+            .sort(byOrder(TIMES_OF_DAY.map(({ label }) => label))),
+        byDuration: averageRatingBy(rated, (session) => DURATION_BUCKETS.find(({ below }) => (session.duration || 0) < below).label)
+            .sort(byOrder(DURATION_BUCKETS.map(({ label }) => label))),
+        byProfile: averageRatingBy(rated, (session) => session.profile || 'Unknown')
+            .sort((a, b) => b.average - a.average)
+    };
+}
+
+/**
+ * How often focus sessions were interrupted by leaving the tab
+ * Only sessions recorded while distraction tracking was on count
+ * @returns {{ sessions: number, perSession: number, awayShare: number, undistractedRate: number }|null}
+ *   Null when no tracked sessions exist
+ */
+export function getDistractionStats(sessions) {
+    const tracked = sessions.filter((session) => isWork(session) && Number.isFinite(session.distractionCount));
+    if (tracked.length === 0) return null;
+
+    const switches = tracked.reduce((total, session) => total + session.distractionCount, 0);
+    const awayMinutes = tracked.reduce((total, session) => total + (session.awayDuration || 0), 0);
+    const focusMinutes = tracked.reduce((total, session) => total + (session.duration || 0), 0);
+
+    return {
+        sessions: tracked.length,
+        perSession: switches / tracked.length,
+        awayShare: focusMinutes > 0 ? Math.min(1, awayMinutes / focusMinutes) : 0,
+        undistractedRate: tracked.filter((session) => session.distractionCount === 0).length / tracked.length
+    };
+}
+
+/**
+ * Check whether a day's sessions include a completed focus session
+ */
+function hasCompletedSession(daySessions) {
+    return daySessions.some((session) => isWork(session) && getOutcome(session) === 'completed');
+}
+
+/**
+ * Current and longest run of consecutive active days
+ * Today doesn't break the current streak until it is over
+ * @param {Function} [isActiveDay] - Decides from one day's sessions whether it
+ *   counts, by default any completed focus session does
+ */
+export function getStreaks(sessions, isActiveDay = hasCompletedSession, now = new Date()) {
+    const sessionsByDay = new Map();
+    sessions.forEach((session) => {
+        const day = getSessionDay(session);
+        if (!sessionsByDay.has(day)) sessionsByDay.set(day, []);
+        sessionsByDay.get(day).push(session);
+    });
+    const activeDays = new Set([...sessionsByDay].filter(([, daySessions]) => isActiveDay(daySessions)).map(([day]) => day));
+
+    let longest = 0;
+    let run = 0;
+    let previous = null;
+    [...activeDays].sort().forEach((day) => {
+        run = previous && toDayKey(addDays(new Date(`${previous}T00:00`), 1)) === day ? run + 1 : 1;
+        longest = Math.max(longest, run);
+        previous = day;
+    });
+
+    let current = 0;
+    let cursor = activeDays.has(toDayKey(now)) ? now : addDays(now, -1);
+    while (activeDays.has(toDayKey(cursor))) {
+        current++;
+        cursor = addDays(cursor, -1);
+    }
+
+    return { current, longest };
+}
+
+/**
+ * Build calendar heatmap cells, one column per week (Monday first)
+ * @param {number} weeks - Number of weeks to show, ending with the current one
+ * @returns {Array<Array<{ day: string, minutes: number, level: number, isFuture: boolean }>>}
+ */
+export function getHeatmap(sessions, weeks, now = new Date()) {
+    const minutesByDay = getFocusMinutesByDay(sessions);
+    const maxMinutes = Math.max(0, ...minutesByDay.values());
+    const today = toDayKey(now);
+    const start = addDays(getWeekStart(now), -7 * (weeks - 1));
+
+    return Array.from({ length: weeks }, (_, week) => Array.from({ length: 7 }, (_, weekday) => {
+        const day = toDayKey(addDays(start, week * 7 + weekday));
+        const minutes = minutesByDay.get(day) || 0;
+        return {
+            day,
+            minutes,
+            level: minutes > 0 ? Math.ceil((minutes / maxMinutes) * HEATMAP_LEVELS) : 0,
+            isFuture: day > today
+        };
+    }));
+}
@@ -0,0 +1,110 @@
+/* ============================================
+   DISTRACTION TRACKER - Time Spent Off the Tab
+   ============================================ */
+
+import { CONFIG } from '../config.js';
+
+let distractionCount = 0;
+let awayMs = 0;
+let awaySince = null;
+let returnListener = null;
+
+/**
+ * Note when the user leaves the tab or window
+ */
+function handleLeave() {
+    if (awaySince === null) {
+        awaySince = Date.now();
+    }
+}
+
+/**
+ * Close the current absence, ignoring blips too short to be a distraction
+ * @param {number} [endedAt] - When the absence stopped counting (ms)
+ * @returns {number} How long the user was away (ms), 0 if it didn't count
+ */
+function closeAbsence(endedAt = Date.now()) {
+    if (awaySince === null) return 0;
+
+    const away = Math.max(0, endedAt - awaySince);
+    awaySince = null;
+    if (away < CONFIG.TIMER.MIN_DISTRACTION_MS) return 0;
+
+    distractionCount++;
+    awayMs += away;
+    return away;
+}
+
+/**
+ * Handle the user coming back to the tab
+ */
+function handleReturn() {
+    // A tab switch fires both blur and visibilitychange - wait until both are undone
+    if (document.visibilityState !== 'visible') return;
+
+    const away = closeAbsence();
+    if (away > 0) {
+        returnListener?.(away);
+    }
+}
+
+/**
+ * Route visibility changes to leave or return
+ */
+function handleVisibilityChange() {
+    if (document.visibilityState === 'hidden') {
+        handleLeave();
+    } else {
+        handleReturn();
+    }
+}
+
+/**
+ * Clear the counts before a new focus session
+ */
+export function resetDistractions() {
+    distractionCount = 0;
+    awayMs = 0;
+    awaySince = null;
+}
+
+/**
+ * Start watching for tab switches while a focus session runs
+ * @param {Function} onReturn - Called with the time away (ms) when the user comes back
+ */
+export function startDistractionTracking(onReturn) {
+    stopDistractionTracking();
+    returnListener = onReturn;
+
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    window.addEventListener('blur', handleLeave);
+    window.addEventListener('focus', handleReturn);
+}
+
+/**
+ * Stop watching, counting an absence that is still going on
+ * @param {number} [endedAt] - Count an ongoing absence only up to this time (ms),
+ *   e.g. when the clock was paused
+ */
+export function stopDistractionTracking(endedAt) {
+    closeAbsence(endedAt);
+    returnListener = null;
+
+    document.removeEventListener('visibilitychange', handleVisibilityChange);
+    window.removeEventListener('blur', handleLeave);
+    window.removeEventListener('focus', handleReturn);
+}
+
+/**
+ * Get the distractions recorded for the current focus session
+ * @returns {{ distractionCount: number, awayMs: number }}
+ */
+export function getDistractionLog() {
+    const ongoing = awaySince !== null && Date.now() - awaySince >= CONFIG.TIMER.MIN_DISTRACTION_MS
+        ? Date.now() - awaySince
+        : 0;
+    return {
+        distractionCount: distractionCount + (ongoing > 0 ? 1 : 0),
+        awayMs: awayMs + ongoing
+    };
+}
@@ -0,0 +1,62 @@
+/* ============================================
+   FLOW BREAK - Earned Break After Flow Sessions
+   ============================================ */
+
+import { getSettings, getDefaultSettings } from '../settings.js';
+
+export const FLOW_BREAK_METHODS = {
+    RATIO: 'ratio',
+    TIERS: 'tiers'
+};
+
+/**
+ * Parse break tiers written as "upTo:break" pairs plus a bare fallback,
+ * e.g. "25:5, 50:8, 90:10, 15" → up to 25 min focus earns 5 min, ...,
+ * anything longer earns 15 min
+ * @returns {{ tiers: Array<{upTo: number, minutes: number}>, fallback: number|null }}
+ */
+export function parseBreakTiers(text) {
+    const tiers = [];
+    let fallback = null;
+
+    String(text).split(',').forEach((part) => {
+        const [first, second] = part.split(':').map((value) => parseFloat(value));
+        if (second !== undefined) {
+            if (first > 0 && second > 0) tiers.push({ upTo: first, minutes: second });
+        } else if (first > 0) {
+            fallback = first;
+        }
+    });
+
+    tiers.sort((a, b) => a.upTo - b.upTo);
+    return { tiers, fallback };
+}
+
+/**
+ * Look up the break for a focus length in a tier table
+ */
+function getTierBreak(focusedMinutes, text) {
+    const { tiers, fallback } = parseBreakTiers(text);
+    const tier = tiers.find(({ upTo }) => focusedMinutes <= upTo);
+    if (tier) return tier.minutes;
+    return fallback ?? tiers[tiers.length - 1]?.minutes ?? null;
+}
+
+/**
+ * Suggest a break length proportional to the time spent focusing
+ * @param {number} focusedMinutes - Minutes focused in the flow session
+ * @returns {number} Whole break minutes (at least 1)
+ */
+export function getEarnedBreakMinutes(focusedMinutes) {
+    const { flowBreakMethod, flowBreakRatio, flowBreakTiers } = getSettings();
+
+    let minutes;
+    if (flowBreakMethod === FLOW_BREAK_METHODS.TIERS) {
+        minutes = getTierBreak(focusedMinutes, flowBreakTiers)
+            ?? getTierBreak(focusedMinutes, getDefaultSettings().flowBreakTiers);
+    } else {
+        minutes = focusedMinutes / Math.max(1, flowBreakRatio);
+    }
+
+    return Math.max(1, Math.round(minutes));
+}
@@ -0,0 +1,75 @@
+/* ============================================
+   IDLE MONITOR - Notice When the User Walks Away
+   ============================================ */
+
+import { CONFIG } from '../config.js';
+
+const ACTIVITY_EVENTS = ['pointermove', 'pointerdown', 'keydown', 'wheel', 'touchstart'];
+
+let lastActivityAt = null;
+let thresholdMs = Infinity;
+let idleListener = null;
+let checkInterval = null;
+
+/**
+ * Remember the latest sign of life on the page
+ */
+function markActivity() {
+    lastActivityAt = Date.now();
+}
+
+/**
+ * Fire the idle listener once the user has been away long enough
+ */
+function checkIdle() {
+    if (lastActivityAt === null || Date.now() - lastActivityAt < thresholdMs) return;
+
+    const listener = idleListener;
+    const idleSince = lastActivityAt;
+    stopIdleMonitor();
+    listener?.(idleSince);
+}
+
+/**
+ * Hiding the page is the last thing the user did on it,
+ * coming back is checked before it counts as activity
+ */
+function handleVisibilityChange() {
+    if (document.visibilityState === 'hidden') {
+        markActivity();
+        return;
+    }
+    checkIdle();
+    if (idleListener) markActivity();
+}
+
+/**
+ * Start watching for the user going idle or leaving the page
+ * Start this before other visibility listeners, so a return is checked first
+ * @param {number} idleMs - How long without activity counts as away
+ * @param {Function} onIdle - Called once with the time (ms) the user was last active
+ */
+export function startIdleMonitor(idleMs, onIdle) {
+    stopIdleMonitor();
+    thresholdMs = idleMs;
+    idleListener = onIdle;
+    markActivity();
+
+    ACTIVITY_EVENTS.forEach((type) => document.addEventListener(type, markActivity, { passive: true }));
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    checkInterval = setInterval(checkIdle, CONFIG.TIMER.IDLE_CHECK_INTERVAL);
+}
+
+/**
+ * Stop watching for idleness
+ */
+export function stopIdleMonitor() {
+    if (checkInterval) {
+        clearInterval(checkInterval);
+        checkInterval = null;
+    }
+    ACTIVITY_EVENTS.forEach((type) => document.removeEventListener(type, markActivity));
+    document.removeEventListener('visibilitychange', handleVisibilityChange);
+    idleListener = null;
+    lastActivityAt = null;
+}
@@ -0,0 +1,244 @@
+/* ============================================
+   ROUTINES - Named Focus Phase Sequences
+   ============================================ */
+
+import { getSettings, updateSettings } from '../settings.js';
+import { registerBackupSection } from '../data/backup.js';
+
+const STORAGE_KEY = 'letsfocus_routines';
+
+export const PHASE_TYPES = {
+    WORK: 'work',
+    BREAK: 'break',
+    LONG_BREAK: 'long_break'
+};
+
+export const PHASE_LABELS = {
+    [PHASE_TYPES.WORK]: 'Focus',
+    [PHASE_TYPES.BREAK]: 'Break',
+    [PHASE_TYPES.LONG_BREAK]: 'Long break'
+};
+
+export const CLASSIC_ROUTINE_ID = 'classic';
+
+// Custom routines as stored, read from localStorage on first use
+let customRoutines = null;
+
+/**
+ * Built-in routines
+ * The classic Pomodoro routine has no fixed phases - they come from settings
+ * Each phase: { type, minutes, profileId? } where profileId switches the sound
+ */
+const BUILT_IN_ROUTINES = [
+    {
+        id: CLASSIC_ROUTINE_ID,
+        name: 'Classic Pomodoro',
+        builtIn: true
+    },
+    {
+        id: 'fifty_two_seventeen',
+        name: '52 / 17',
+        builtIn: true,
+        phases: [
+            { type: PHASE_TYPES.WORK, minutes: 52 },
+            { type: PHASE_TYPES.BREAK, minutes: 17 }
+        ]
+    },
+    {
+        id: 'ultradian',
+        name: '90 / 20 Ultradian',
+        builtIn: true,
+        phases: [
+            { type: PHASE_TYPES.WORK, minutes: 90 },
+            { type: PHASE_TYPES.LONG_BREAK, minutes: 20 }
+        ]
+    },
+    {
+        id: 'warm_up',
+        name: 'Warm-up 3×25 + 50',
+        builtIn: true,
+        phases: [
+            { type: PHASE_TYPES.WORK, minutes: 25 },
+            { type: PHASE_TYPES.BREAK, minutes: 5 },
+            { type: PHASE_TYPES.WORK, minutes: 25 },
+            { type: PHASE_TYPES.BREAK, minutes: 5 },
+            { type: PHASE_TYPES.WORK, minutes: 25 },
+            { type: PHASE_TYPES.BREAK, minutes: 5 },
+            { type: PHASE_TYPES.WORK, minutes: 50 },
+            { type: PHASE_TYPES.LONG_BREAK, minutes: 15 }
+        ]
+    }
+];
+
+/**
+ * Build the classic work / short break ×N / long break phases from settings
+ */
+function buildClassicPhases() {
+    const { focusMinutes, shortBreakMinutes, longBreakMinutes, sessionsBeforeLongBreak } = getSettings();
+    const phases = [];
+
+    for (let i = 1; i <= sessionsBeforeLongBreak; i++) {
+        phases.push({ type: PHASE_TYPES.WORK, minutes: focusMinutes });
+        phases.push(i === sessionsBeforeLongBreak
+            ? { type: PHASE_TYPES.LONG_BREAK, minutes: longBreakMinutes }
+            : { type: PHASE_TYPES.BREAK, minutes: shortBreakMinutes });
+    }
+
+    return phases;
+}
+
+/**
+ * Check that a phase has a known type and a positive duration
+ */
+function isValidPhase(phase) {
+    return Boolean(phase)
+        && Object.values(PHASE_TYPES).includes(phase.type)
+        && Number.isFinite(phase.minutes)
+        && phase.minutes > 0;
+}
+
+/**
+ * Keep only entries shaped like a saved routine
+ */
+function filterRoutines(routines) {
+    return Array.isArray(routines)
+        ? routines.filter((routine) => routine?.id && Array.isArray(routine.phases))
+        : [];
+}
+
+/**
+ * Load custom routines from localStorage
+ */
+function loadCustomRoutines() {
+    try {
+        const data = localStorage.getItem(STORAGE_KEY);
+        return filterRoutines(data ? JSON.parse(data) : []);
+    } catch (error) {
+        console.warn('Failed to load routines:', error);
+        return [];
+    }
+}
+
+/**
+ * Get the custom routines, loading them once
+ * The timer asks for the active routine on every tick
+ */
+function getCustomRoutines() {
+    if (!customRoutines) {
+        customRoutines = loadCustomRoutines();
+    }
+    return [...customRoutines];
+}
+
+/**
+ * Save custom routines to localStorage
+ */
+function setCustomRoutines(routines) {
+    customRoutines = [...routines];
+
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(routines));
+    } catch (error) {
+        console.warn('Failed to save routines:', error);
+    }
+}
+
+/**
+ * Resolve a routine's phases (the classic routine is built from settings)
+ */
+function withPhases(routine) {
+    if (routine.id === CLASSIC_ROUTINE_ID) {
+        return { ...routine, phases: buildClassicPhases() };
+    }
+    return { ...routine, phases: routine.phases.map((phase) => ({ ...phase })) };
+}
+
+/**
+ * Get all routines, built-in first
+ */
+export function getAllRoutines() {
+    return [...BUILT_IN_ROUTINES, ...getCustomRoutines()].map(withPhases);
+}
+
+/**
+ * Get a routine by id
+ */
+export function getRoutineById(id) {
+    return getAllRoutines().find((routine) => routine.id === id);
+}
+
+/**
+ * Get the selected routine, falling back to classic Pomodoro
+ */
+export function getActiveRoutine() {
+    return getRoutineById(getSettings().routineId) || getRoutineById(CLASSIC_ROUTINE_ID);
+}
+
+/**
+ * Select the routine the timer steps through
+ */
+export function setActiveRoutine(id) {
+    updateSettings({ routineId: id });
+}
+
+/**
+ * Create or update a custom routine
+ * @param {Object} routine - { id?, name, phases }
+ * @returns {Object|null} The saved routine, or null if it is invalid
+ */
+export function saveRoutine(routine) {
+    const phases = (routine.phases || []).filter(isValidPhase).map(({ type, minutes, profileId }) => ({
+        type,
+        minutes,
+        ...(profileId ? { profileId } : {})
+    }));
+    const name = (routine.name || '').trim();
+    if (!name || phases.length === 0) return null;
+
+    const saved = {
+        id: routine.id && !routine.builtIn ? routine.id : `custom_${Date.now()}`,
+        name,
+        phases
+    };
+
+    const routines = getCustomRoutines();
+    const index = routines.findIndex((existing) => existing.id === saved.id);
+    if (index >= 0) {
+        routines[index] = saved;
+    } else {
+        routines.push(saved);
+    }
+    setCustomRoutines(routines);
+
+    return saved;
+}
+
+/**
+ * Delete a custom routine (built-ins can't be deleted)
+ */
+export function deleteRoutine(id) {
+    setCustomRoutines(getCustomRoutines().filter((routine) => routine.id !== id));
+
+    if (getSettings().routineId === id) {
+        setActiveRoutine(CLASSIC_ROUTINE_ID);
+    }
+}
+
+registerBackupSection('routines', {
+    label: 'Custom routines',
+    read: getCustomRoutines,
+    describe: (data) => {
+        const existing = new Map(getCustomRoutines().map((routine) => [routine.id, JSON.stringify(routine)]));
+        const incoming = filterRoutines(data);
+        const added = incoming.filter((routine) => !existing.has(routine.id)).length;
+        const updated = incoming.filter((routine) => existing.has(routine.id)
+            && existing.get(routine.id) !== JSON.stringify(routine)).length;
+
+        const parts = [];
+        if (added > 0) parts.push(`${added} added`);
+        if (updated > 0) parts.push(`${updated} updated`);
+        return parts.length > 0 ? parts.join(', ') : null;
+    },
+    // Routines are merged by id, so local routines missing from the backup are kept
+    restore: (data) => filterRoutines(data).forEach(saveRoutine)
+});
@@ -0,0 +1,69 @@
+/* ============================================
+   SESSION PERSISTENCE - Survive reloads & crashes
+   ============================================ */
+
+import { getTimerSnapshot } from './timerState.js';
+
+const STORAGE_KEY = 'letsfocus_active_session';
+
+/**
+ * Save the active session to localStorage
+ * @param {string} profileId - Selected sound profile id
+ */
+export function saveActiveSession(profileId) {
+    try {
+        const session = {
+            ...getTimerSnapshot(),
+            profileId,
+            savedAt: Date.now()
+        };
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+    } catch (error) {
+        console.warn('Failed to save active session:', error);
+    }
+}
+
+/**
+ * Load the saved session, if any
+ * A session that was running keeps going while the page is closed, so
+ * remainingMs and elapsedMs are worked out from the wall clock
+ * @returns {Object|null} Saved session with remainingMs, elapsedMs and hasExpired
+ */
+export function loadActiveSession() {
+    try {
+        const data = localStorage.getItem(STORAGE_KEY);
+        if (!data) return null;
+
+        const session = JSON.parse(data);
+        const remainingMs = session.isRunning && session.endTime
+            ? Math.max(0, session.endTime - Date.now())
+            : Math.max(0, session.remainingMs || 0);
+        // A countdown stops adding focused time once it runs out
+        const stoppedAt = session.isCountingUp ? Date.now() : Math.min(Date.now(), session.endTime);
+        const elapsedMs = session.isRunning && session.segmentStartedAt
+            ? (session.elapsedMs || 0) + Math.max(0, stoppedAt - session.segmentStartedAt)
+            : session.elapsedMs || 0;
+
+        return {
+            ...session,
+            remainingMs,
+            elapsedMs,
+            // Flow sessions count up, so they never run out
+            hasExpired: Boolean(session.isRunning) && !session.isCountingUp && remainingMs === 0
+        };
+    } catch (error) {
+        console.warn('Failed to load active session:', error);
+        return null;
+    }
+}
+
+/**
+ * Forget the saved session
+ */
+export function clearActiveSession() {
+    try {
+        localStorage.removeItem(STORAGE_KEY);
+    } catch (error) {
+        console.warn('Failed to clear active session:', error);
+    }
+}
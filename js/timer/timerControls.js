@@ -4,22 +4,158 @@
 
 import {
     getTimerState,
-    resetTimer,
-    decrementTimer,
+    tickTimer,
     setTimerInterval,
     clearTimerInterval,
     setTimerRunning,
     formatTimer,
-    startBreak,
-    endBreak,
+    getCurrentPhase,
+    isPhaseFresh,
+    advancePhase,
+    resetRoutine,
+    startEarnedBreak,
+    startExtension,
+    getPhaseLog,
     incrementCompletedSessions,
-    resetSessionCounter
+    restoreTimerSnapshot,
+    getRemainingMs
 } from './timerState.js';
-import { startGenerativeMusic, pauseGenerativeMusic, stopGenerativeMusic } from '../audio/audioController.js';
-import { updateStatus } from '../ui/status.js';
-import { saveSession } from '../ui/sessionHistory.js';
-import { getCurrentProfile } from '../ui/profilePicker.js';
+import { saveActiveSession, clearActiveSession } from './sessionPersistence.js';
+import { getActiveRoutine, setActiveRoutine, getRoutineById, PHASE_TYPES, PHASE_LABELS } from './routines.js';
+import { getEarnedBreakMinutes } from './flowBreak.js';
+import {
+    startGenerativeMusic,
+    pauseGenerativeMusic,
+    stopGenerativeMusic,
+    windDownGenerativeMusic
+} from '../audio/audioController.js';
+import { updateStatus, setStatusActions, clearStatusActions } from '../ui/status.js';
+import { saveSession, updateSession } from '../ui/sessionHistory.js';
+import { showReflectionPrompt } from '../ui/reflectionPrompt.js';
+import { notify } from '../ui/notify.js';
+import { getCurrentProfile, selectProfileById } from '../ui/profilePicker.js';
 import { CONFIG } from '../config.js';
+import { getSettings } from '../settings.js';
+import { getIntentDetails, rememberCurrentIntent } from '../data/intents.js';
+import { getTaskDetails, recordPomodoro } from '../data/tasks.js';
+import {
+    resetDistractions,
+    startDistractionTracking,
+    stopDistractionTracking,
+    getDistractionLog
+} from './distractionTracker.js';
+import { startIdleMonitor, stopIdleMonitor } from './idleMonitor.js';
+
+let resyncHandler = null;
+let isSessionActive = false;
+let autoStartInterval = null;
+let autoCyclesCompleted = 0;
+let stateChangeListener = null;
+let pendingSessionEnd = null; // { saved, canExtend } until the next phase starts
+
+export const SESSION_OUTCOMES = {
+    COMPLETED: 'completed',
+    SKIPPED: 'skipped',
+    ABANDONED: 'abandoned'
+};
+
+/**
+ * Choices offered when a focus session ends, stored on its history entry as endAction
+ */
+export const SESSION_END_ACTIONS = {
+    EXTEND: 'extend',
+    SKIP_BREAK: 'skip-break',
+    END_CYCLE: 'end-cycle'
+};
+
+/**
+ * Register a callback for timer changes the UI didn't trigger itself
+ * (sessions finishing, phases starting automatically)
+ */
+export function setTimerStateListener(listener) {
+    stateChangeListener = listener;
+}
+
+/**
+ * Start winding the sound down once a focus countdown enters its last minute
+ */
+function windDownIfEnding() {
+    const { isCountingUp } = getTimerState();
+    if (isCountingUp || getCurrentPhase().type !== PHASE_TYPES.WORK || !getSettings().windDown) return;
+
+    const remainingMs = getRemainingMs();
+    if (remainingMs <= CONFIG.AUDIO.WIND_DOWN_SECONDS * 1000) {
+        windDownGenerativeMusic(remainingMs / 1000);
+    }
+}
+
+/**
+ * Check the clock once: finish the session or refresh the display
+ */
+function tick(updateDisplayCallback) {
+    const isComplete = tickTimer();
+
+    if (isComplete) {
+        finishSession(updateDisplayCallback);
+        return;
+    }
+
+    windDownIfEnding();
+    updateDisplayCallback();
+}
+
+/**
+ * Stop the tick interval and the visibility re-sync
+ */
+function stopTicking() {
+    clearTimerInterval();
+    stopDistractionTracking();
+    stopIdleMonitor();
+    if (resyncHandler) {
+        document.removeEventListener('visibilitychange', resyncHandler);
+        resyncHandler = null;
+    }
+}
+
+/**
+ * Check whether a session has been started and not yet reset
+ */
+export function hasActiveSession() {
+    return isSessionActive;
+}
+
+/**
+ * Persist the session in progress so it can be resumed after a reload
+ */
+export function syncActiveSession() {
+    if (isSessionActive) {
+        saveActiveSession(getCurrentProfile().id);
+    }
+}
+
+/**
+ * Restore a session saved before the page was closed
+ * A session that ran out while the page was closed is marked complete
+ * @param {Object} session - Session from loadActiveSession()
+ * @returns {boolean} True if the session had expired
+ */
+export function restoreSession(session, updateDisplayCallback) {
+    if (session.routineId && session.routineId !== getActiveRoutine().id && getRoutineById(session.routineId)) {
+        setActiveRoutine(session.routineId);
+    }
+    restoreTimerSnapshot(session);
+    isSessionActive = true;
+
+    if (session.hasExpired) {
+        // The phase ended while the page was closed, not when it was reopened
+        completePhase(getPhaseLog(), session.endTime);
+    }
+
+    syncActiveSession();
+    updateDisplayCallback();
+
+    return session.hasExpired;
+}
 
 /**
  * Request notification permission
@@ -37,6 +173,16 @@ export async function requestNotificationPermission() {
     }
 }
 
+/**
+ * Greet the user after they left the tab during a focus session
+ * @param {number} awayMs - How long they were away
+ */
+function welcomeBack(awayMs) {
+    const seconds = Math.round(awayMs / 1000);
+    const away = seconds < 60 ? `${seconds}s` : `${Math.round(seconds / 60)} min`;
+    updateStatus(`👋 Welcome back - you were away for ${away}. Your focus block is still running`, false);
+}
+
 /**
  * Start the timer
  */
@@ -44,41 +190,70 @@ export function startTimer(updateDisplayCallback) {
     const { isRunning } = getTimerState();
     if (isRunning) return;
 
+    cancelAutoStart();
+    pendingSessionEnd = null;
+
+    // Phases can ask for their own sound profile
+    const { profileId } = getCurrentPhase();
+    if (isPhaseFresh() && profileId && profileId !== getCurrentProfile().id) {
+        selectProfileById(profileId);
+    }
+
+    if (isPhaseFresh()) {
+        rememberCurrentIntent();
+        resetDistractions();
+    }
+
     setTimerRunning(true);
+    isSessionActive = true;
+    syncActiveSession();
 
     // Start generative music
-    const message = startGenerativeMusic();
-    updateStatus(message, true);
+    startGenerativeMusic().then((message) => updateStatus(message, true));
 
     // Update display immediately
     updateDisplayCallback();
 
-    // Start countdown
-    const interval = setInterval(() => {
-        const isComplete = decrementTimer();
+    // Start countdown - ticks only re-read the clock, so a throttled
+    // interval in a background tab can't slow the timer down
+    const interval = setInterval(() => tick(updateDisplayCallback), CONFIG.TIMER.TICK_INTERVAL);
+    setTimerInterval(interval);
+
+    // Checked before the re-sync below, so a return after a long absence
+    // pauses the clock instead of letting it run out
+    if (getSettings().autoPause) {
+        const { autoPauseFocusMinutes, autoPauseBreakMinutes } = getSettings();
+        const isBreak = getCurrentPhase().type !== PHASE_TYPES.WORK;
+        const idleMinutes = isBreak ? autoPauseBreakMinutes : autoPauseFocusMinutes;
+        startIdleMonitor(idleMinutes * 60000, (idleSince) => autoPause(idleSince, updateDisplayCallback));
+    }
 
-        if (isComplete) {
-            finishSession(updateDisplayCallback);
-            return;
+    // Catch up immediately when the tab becomes visible again
+    resyncHandler = () => {
+        if (document.visibilityState === 'visible') {
+            tick(updateDisplayCallback);
         }
+    };
+    document.addEventListener('visibilitychange', resyncHandler);
 
-        updateDisplayCallback();
-    }, 1000);
-
-    setTimerInterval(interval);
+    if (getCurrentPhase().type === PHASE_TYPES.WORK && getSettings().trackDistractions) {
+        startDistractionTracking(welcomeBack);
+    }
 
     return { isRunning: true, text: 'PAUSE' };
 }
 
 /**
  * Pause the timer
+ * @param {number} [pauseAt] - Backdate the pause to this time (ms)
  */
-export function pauseTimer() {
+export function pauseTimer(pauseAt) {
     const { isRunning } = getTimerState();
     if (!isRunning) return;
 
-    setTimerRunning(false);
-    clearTimerInterval();
+    setTimerRunning(false, pauseAt);
+    stopTicking();
+    syncActiveSession();
 
     // Pause generative music
     const message = pauseGenerativeMusic();
@@ -87,105 +262,421 @@ export function pauseTimer() {
     return { isRunning: false, text: 'RESUME' };
 }
 
+/**
+ * Pause a session the user walked away from
+ * The time away counts as paused, not focused or spent on a break
+ * @param {number} idleSince - When the user was last active (ms)
+ */
+function autoPause(idleSince, updateDisplayCallback) {
+    // Time away after the pause isn't a distraction from a running session
+    stopDistractionTracking(idleSince);
+    pauseTimer(idleSince);
+    updateDisplayCallback();
+    stateChangeListener?.();
+
+    const awayMinutes = Math.round((Date.now() - idleSince) / 60000);
+    updateStatus(`👋 Welcome back — resume? Paused after ${awayMinutes} min away`, true);
+    setStatusActions([
+        {
+            label: 'Resume',
+            onClick: () => {
+                clearStatusActions();
+                startTimer(updateDisplayCallback);
+                stateChangeListener?.();
+            }
+        }
+    ]);
+}
+
 /**
  * Stop and reset the timer
  */
 export function stopTimer(updateDisplayCallback) {
-    const { isBreakMode } = getTimerState();
+    cancelAutoStart();
+    pendingSessionEnd = null;
+
+    // A phase cut short still counts - focus is abandoned, a break is skipped
+    if (!isPhaseFresh()) {
+        const isBreak = getCurrentPhase().type !== PHASE_TYPES.WORK;
+        logPhase(getPhaseLog(), isBreak ? SESSION_OUTCOMES.SKIPPED : SESSION_OUTCOMES.ABANDONED);
+    }
 
     setTimerRunning(false);
-    clearTimerInterval();
+    stopTicking();
 
     // Stop generative music
     const message = stopGenerativeMusic();
     updateStatus(message, false);
 
-    // Reset to work mode and clear session counter
-    if (isBreakMode) {
-        endBreak();
-    } else {
-        resetTimer();
-    }
-    resetSessionCounter();
+    // Back to the start of the routine and clear session counter
+    resetRoutine();
+    autoCyclesCompleted = 0;
+    isSessionActive = false;
+    clearActiveSession();
     updateDisplayCallback();
 
     return { text: 'START', disabled: true };
 }
 
+/**
+ * Round milliseconds to minutes with one decimal
+ */
+function toMinutes(ms) {
+    return Math.round(ms / 6000) / 10;
+}
+
+/**
+ * Distraction fields to store on a focus session's history entry
+ */
+function getDistractionDetails() {
+    if (!getSettings().trackDistractions) return {};
+    const { distractionCount, awayMs } = getDistractionLog();
+    return { distractionCount, awayDuration: toMinutes(awayMs) };
+}
+
+/**
+ * Save the current phase to the session history
+ * @param {Object} log - Phase summary from getPhaseLog(), taken before the clock stopped
+ * @param {string} outcome - One of SESSION_OUTCOMES
+ * @param {number} [endedAt] - When the phase ended, defaults to now
+ * @returns {Promise<string|null>} Key of the history entry once it is saved
+ */
+function logPhase(log, outcome, endedAt = Date.now()) {
+    const isBreak = getCurrentPhase().type !== PHASE_TYPES.WORK;
+    const { isFlowMode, isExtension } = getTimerState();
+    const mode = isExtension ? 'extension' : isFlowMode ? 'flow' : null;
+
+    return saveSession(isBreak ? 'break' : 'work', toMinutes(log.focusedMs), getCurrentProfile().name, {
+        ...(mode ? { mode } : {}),
+        ...getIntentDetails(),
+        ...(isBreak ? {} : { ...getTaskDetails(), ...getDistractionDetails() }),
+        outcome,
+        plannedDuration: log.plannedMs === null ? null : toMinutes(log.plannedMs),
+        pausedDuration: toMinutes(log.pausedMs),
+        pauseCount: log.pauseCount,
+        startedAt: new Date(log.startedAt ?? endedAt).toISOString(),
+        endedAt: new Date(endedAt).toISOString()
+    });
+}
+
+/**
+ * Log the finished phase and move the timer on to the next one
+ * @param {Object} log - Phase summary from getPhaseLog()
+ * @param {number} [endedAt] - When the phase ended, defaults to now
+ * @returns {{ wasBreak: boolean, wasExtension: boolean, nextPhase: Object, saved: Promise<string|null> }}
+ */
+function completePhase(log, endedAt) {
+    const wasBreak = getCurrentPhase().type !== PHASE_TYPES.WORK;
+    const { isExtension } = getTimerState();
+
+    const saved = logPhase(log, SESSION_OUTCOMES.COMPLETED, endedAt);
+
+    // Extra minutes belong to the session they extended
+    if (!wasBreak && !isExtension) {
+        incrementCompletedSessions();
+        recordPomodoro();
+    }
+
+    advancePhase();
+    return { wasBreak, wasExtension: isExtension, nextPhase: getCurrentPhase(), saved };
+}
+
+/**
+ * Ask how the focus session went, if reflection is turned on
+ * @param {Promise<string|null>} saved - Key of the session's history entry
+ */
+function promptReflection(saved) {
+    if (getSettings().reflectionPrompt) {
+        showReflectionPrompt(saved);
+    }
+}
+
+/**
+ * Decide whether auto-cycle should start the phase that is now due
+ * A cycle is one focus session plus its break
+ */
+function shouldAutoAdvance(nextIsBreak) {
+    const { autoCycle, autoCycleCount } = getSettings();
+    if (!autoCycle) return false;
+
+    // The break after the last cycle still runs, the next focus block doesn't
+    return nextIsBreak ? autoCyclesCompleted <= autoCycleCount : autoCyclesCompleted < autoCycleCount;
+}
+
+/**
+ * Cancel a pending automatic phase start
+ * @returns {boolean} True if a countdown was pending
+ */
+export function cancelAutoStart() {
+    if (!autoStartInterval) return false;
+
+    clearInterval(autoStartInterval);
+    autoStartInterval = null;
+    clearStatusActions();
+    return true;
+}
+
+/**
+ * Start the next phase after the configured grace countdown
+ */
+function scheduleAutoStart(updateDisplayCallback, phaseLabel, extraActions = []) {
+    const startNow = () => {
+        cancelAutoStart();
+        startTimer(updateDisplayCallback);
+        stateChangeListener?.();
+    };
+
+    const delayMs = getSettings().autoStartDelay * 1000;
+    if (delayMs <= 0) {
+        startNow();
+        return;
+    }
+
+    const startsAt = Date.now() + delayMs;
+    const updateCountdown = () => {
+        const secondsLeft = Math.ceil((startsAt - Date.now()) / 1000);
+        if (secondsLeft <= 0) {
+            startNow();
+            return;
+        }
+        updateStatus(`⏭️ ${phaseLabel} starts in ${secondsLeft}s`, true);
+    };
+
+    updateCountdown();
+    autoStartInterval = setInterval(updateCountdown, CONFIG.TIMER.TICK_INTERVAL);
+
+    setStatusActions([
+        { label: 'Start now', onClick: startNow },
+        {
+            label: 'Cancel',
+            onClick: () => {
+                cancelAutoStart();
+                updateStatus(CONFIG.MESSAGES.AUTO_START_CANCELLED, false);
+            }
+        },
+        ...extraActions
+    ]);
+}
+
+/**
+ * Get the session end actions that apply right now
+ * @returns {Array<string>} Values from SESSION_END_ACTIONS
+ */
+export function getSessionEndActions() {
+    if (!pendingSessionEnd) return [];
+
+    const nextIsBreak = getCurrentPhase().type !== PHASE_TYPES.WORK;
+    return [
+        ...(pendingSessionEnd.canExtend ? [SESSION_END_ACTIONS.EXTEND] : []),
+        ...(nextIsBreak ? [SESSION_END_ACTIONS.SKIP_BREAK] : []),
+        SESSION_END_ACTIONS.END_CYCLE
+    ];
+}
+
+/**
+ * Label a session end action for buttons
+ */
+function getSessionEndLabel(action) {
+    switch (action) {
+        case SESSION_END_ACTIONS.EXTEND:
+            return `+${getSettings().extendMinutes} min`;
+        case SESSION_END_ACTIONS.SKIP_BREAK:
+            return 'Skip break';
+        default:
+            return 'End cycle';
+    }
+}
+
+/**
+ * Act on how the user wants to go on after a focus session:
+ * keep focusing for a few minutes, skip the break, or end the cycle
+ * The choice is stored on the finished session's history entry
+ * @param {string} action - One of SESSION_END_ACTIONS
+ * @returns {boolean} False if the action doesn't apply right now
+ */
+export function runSessionEndAction(action, updateDisplayCallback) {
+    if (!getSessionEndActions().includes(action)) return false;
+
+    const { saved } = pendingSessionEnd;
+    pendingSessionEnd = null;
+    cancelAutoStart();
+    clearStatusActions();
+
+    const { extendMinutes } = getSettings();
+    saved.then((key) => key && updateSession(key, {
+        endAction: action,
+        ...(action === SESSION_END_ACTIONS.EXTEND ? { extendedBy: extendMinutes } : {})
+    }));
+
+    if (action === SESSION_END_ACTIONS.EXTEND) {
+        startExtension(extendMinutes);
+        startTimer(updateDisplayCallback);
+    } else if (action === SESSION_END_ACTIONS.SKIP_BREAK) {
+        advancePhase();
+        syncActiveSession();
+        updateDisplayCallback();
+        updateStatus(CONFIG.MESSAGES.BREAK_SKIPPED, true);
+        if (shouldAutoAdvance(false)) {
+            scheduleAutoStart(updateDisplayCallback, 'Focus session');
+        }
+    } else {
+        const { completedSessions } = getTimerState();
+        stopTimer(updateDisplayCallback);
+        updateStatus(`🏁 Cycle ended after ${completedSessions} focus ${completedSessions === 1 ? 'session' : 'sessions'}`, false);
+    }
+
+    stateChangeListener?.();
+    return true;
+}
+
+/**
+ * Offer the session end actions after a focus phase finished
+ * @param {Promise<string|null>} saved - Key of the finished session's history entry
+ * @param {boolean} canExtend - Flow sessions have no countdown to extend
+ * @returns {Array<{label: string, onClick: Function}>} Status bar buttons for the actions
+ */
+function offerSessionEndActions(saved, canExtend, updateDisplayCallback) {
+    pendingSessionEnd = { saved, canExtend };
+    return getSessionEndActions().map((action) => ({
+        label: getSessionEndLabel(action),
+        onClick: () => runSessionEndAction(action, updateDisplayCallback)
+    }));
+}
+
+/**
+ * Notification buttons for the session end actions (browsers show at most two)
+ */
+function getSessionEndNotificationActions() {
+    return getSessionEndActions()
+        .slice(0, 2)
+        .map((action) => ({ action, title: getSessionEndLabel(action) }));
+}
+
 /**
  * Finish timer session
  */
 function finishSession(updateDisplayCallback) {
-    const { isBreakMode, completedSessions } = getTimerState();
-
+    const log = getPhaseLog();
     setTimerRunning(false);
-    clearTimerInterval();
+    stopTicking();
 
     // Stop generative music
     stopGenerativeMusic();
 
-    if (isBreakMode) {
-        // Break is complete - return to work mode
-        const breakDuration = completedSessions % CONFIG.TIMER.SESSIONS_BEFORE_LONG_BREAK === 0
-            ? CONFIG.TIMER.LONG_BREAK_MINUTES
-            : CONFIG.TIMER.BREAK_MINUTES;
-        const currentProfile = getCurrentProfile();
+    const { wasBreak, wasExtension, nextPhase, saved } = completePhase(log);
+    syncActiveSession();
+    updateDisplayCallback();
 
-        // Save break session
-        saveSession('break', breakDuration, currentProfile.name);
+    if (!wasBreak && !wasExtension) {
+        autoCyclesCompleted++;
+        promptReflection(saved);
+    }
 
-        endBreak();
-        updateDisplayCallback();
-        updateStatus(CONFIG.MESSAGES.BREAK_COMPLETE, true);
-
-        // Show notification
-        if ('Notification' in window && Notification.permission === 'granted') {
-            new Notification('LetsFocus', {
-                body: 'Break complete! Ready for next focus session 🚀',
-                icon: "data:image/svg+xml,<svg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 100 100'><text y='0.9em' font-size='90'>✨</text></svg>"
-            });
-        }
+    const endActions = wasBreak ? [] : offerSessionEndActions(saved, true, updateDisplayCallback);
+    const notificationActions = getSessionEndNotificationActions();
+
+    const nextIsBreak = nextPhase.type !== PHASE_TYPES.WORK;
+    const isLongBreak = nextPhase.type === PHASE_TYPES.LONG_BREAK;
+    const nextLabel = nextIsBreak ? PHASE_LABELS[nextPhase.type] : 'Focus session';
+    const autoAdvance = shouldAutoAdvance(nextIsBreak);
+    const { autoStartDelay } = getSettings();
+    const autoStartNote = autoAdvance
+        ? ` ${nextLabel} starts automatically ${autoStartDelay > 0 ? `in ${autoStartDelay}s` : 'now'}.`
+        : '';
+
+    let message;
+    let resetMessage;
+    let resetDelay;
+
+    if (nextIsBreak) {
+        message = isLongBreak ? CONFIG.MESSAGES.LONG_BREAK_READY : CONFIG.MESSAGES.BREAK_READY;
+        const notificationBody = isLongBreak
+            ? `Great work! Time for a long ${nextPhase.minutes} minute break 🌟`
+            : `Focus session complete! Take a ${nextPhase.minutes} minute break ☕`;
+        notify(`${notificationBody}${autoStartNote}`, '🎯', notificationActions);
+
+        // Keep break message visible longer
+        resetMessage = message;
+        resetDelay = CONFIG.TIMER.STATUS_RESET_DELAY * 2;
+    } else if (wasBreak) {
+        message = CONFIG.MESSAGES.BREAK_COMPLETE;
+        notify(`Break complete! Ready for next focus session 🚀${autoStartNote}`, '✨');
+
+        resetMessage = CONFIG.MESSAGES.READY;
+        resetDelay = CONFIG.TIMER.STATUS_RESET_DELAY;
+    } else {
+        // Routines can chain focus blocks back to back
+        message = CONFIG.MESSAGES.NEXT_FOCUS_READY;
+        notify(`Focus session complete! Next up: ${nextPhase.minutes} minute focus block 🎯${autoStartNote}`, '🎯', notificationActions);
+
+        resetMessage = message;
+        resetDelay = CONFIG.TIMER.STATUS_RESET_DELAY * 2;
+    }
+
+    updateStatus(message, true);
+
+    if (autoAdvance) {
+        scheduleAutoStart(updateDisplayCallback, nextLabel, endActions);
+    } else {
+        setStatusActions(endActions);
 
         // Reset status after delay
         setTimeout(() => {
-            updateStatus(CONFIG.MESSAGES.READY, false);
-        }, CONFIG.TIMER.STATUS_RESET_DELAY);
-    } else {
-        // Work session complete - start break
-        const currentProfile = getCurrentProfile();
+            updateStatus(resetMessage, false);
+        }, resetDelay);
+    }
 
-        // Save work session
-        saveSession('work', CONFIG.TIMER.DEFAULT_MINUTES, currentProfile.name);
+    stateChangeListener?.();
 
-        incrementCompletedSessions();
-        const newCompletedSessions = completedSessions + 1;
-        const isLongBreak = newCompletedSessions % CONFIG.TIMER.SESSIONS_BEFORE_LONG_BREAK === 0;
+    return { text: 'START', disabled: true };
+}
 
-        startBreak();
-        updateDisplayCallback();
+/**
+ * End a flow session: log the real time focused and count down the earned break
+ */
+export function finishFlowSession(updateDisplayCallback) {
+    const { isCountingUp } = getTimerState();
+    if (!isCountingUp || isPhaseFresh()) return;
 
-        const message = isLongBreak ? CONFIG.MESSAGES.LONG_BREAK_READY : CONFIG.MESSAGES.BREAK_READY;
-        updateStatus(message, true);
+    const log = getPhaseLog();
+    setTimerRunning(false);
+    stopTicking();
 
-        // Show notification
-        if ('Notification' in window && Notification.permission === 'granted') {
-            const notificationBody = isLongBreak
-                ? `Great work! Time for a long ${CONFIG.TIMER.LONG_BREAK_MINUTES} minute break 🌟`
-                : `Focus session complete! Take a ${CONFIG.TIMER.BREAK_MINUTES} minute break ☕`;
+    // Stop generative music
+    stopGenerativeMusic();
 
-            new Notification('LetsFocus', {
-                body: notificationBody,
-                icon: "data:image/svg+xml,<svg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 100 100'><text y='0.9em' font-size='90'>🎯</text></svg>"
-            });
-        }
+    const focusedMinutes = log.focusedMs / 60000;
+    const saved = logPhase(log, SESSION_OUTCOMES.COMPLETED);
+    incrementCompletedSessions();
+    recordPomodoro();
+    autoCyclesCompleted++;
+    promptReflection(saved);
 
-        // Keep break message visible longer
-        setTimeout(() => {
-            updateStatus(message, false);
-        }, CONFIG.TIMER.STATUS_RESET_DELAY * 2);
+    const breakMinutes = getEarnedBreakMinutes(focusedMinutes);
+    startEarnedBreak(breakMinutes);
+    syncActiveSession();
+    updateDisplayCallback();
+
+    const endActions = offerSessionEndActions(saved, false, updateDisplayCallback);
+
+    updateStatus(`🌊 ${Math.round(focusedMinutes)} min in flow - you earned a ${breakMinutes} minute break`, true);
+
+    const autoAdvance = shouldAutoAdvance(true);
+    const { autoStartDelay } = getSettings();
+    const autoStartNote = autoAdvance
+        ? ` Break starts automatically ${autoStartDelay > 0 ? `in ${autoStartDelay}s` : 'now'}.`
+        : '';
+    notify(`Flow session complete! Take a ${breakMinutes} minute break ☕${autoStartNote}`, '🌊', getSessionEndNotificationActions());
+
+    if (autoAdvance) {
+        scheduleAutoStart(updateDisplayCallback, 'Break', endActions);
+    } else {
+        setStatusActions(endActions);
     }
 
-    return { text: 'START', disabled: true };
+    stateChangeListener?.();
+
+    return { text: 'START', disabled: false };
 }
 
 /**
@@ -3,25 +3,125 @@
    ============================================ */
 
 import { CONFIG } from '../config.js';
+import { getActiveRoutine, PHASE_TYPES } from './routines.js';
+
+const MS_PER_SECOND = 1000;
+const MS_PER_MINUTE = 60 * MS_PER_SECOND;
 
 // Timer state
-let timerMinutes = CONFIG.TIMER.DEFAULT_MINUTES;
-let timerSeconds = CONFIG.TIMER.DEFAULT_SECONDS;
+let phaseIndex = 0;
+let isFlowMode = false; // Count-up focus instead of the routine's phases
+let earnedBreakMinutes = null; // Break earned by the last flow session
+let extensionMinutes = null; // Extra focus time added after a focus phase finished
+let remainingMs = toMs(getCurrentPhase().minutes, CONFIG.TIMER.DEFAULT_SECONDS);
+let plannedMs = remainingMs; // Length the current phase was set to
+let endTime = null; // Wall-clock target (ms since epoch) while running
+let elapsedMs = 0; // Running time banked in the current phase
+let segmentStartedAt = null; // Wall-clock start of the current running stretch
+let phaseStartedAt = null; // When the current phase was first started
+let pausedMs = 0; // Time spent paused in the current phase
+let pausedAt = null; // Wall-clock start of the current pause
+let pauseCount = 0;
 let timerInterval = null;
 let isTimerRunning = false;
-let isBreakMode = false;
 let completedSessions = 0;
 
+/**
+ * Convert minutes and seconds to milliseconds
+ */
+function toMs(minutes, seconds) {
+    return minutes * MS_PER_MINUTE + seconds * MS_PER_SECOND;
+}
+
+/**
+ * Set the remaining time of the current phase
+ * Re-targets the end time when the timer is already running
+ */
+function setRemainingMs(ms) {
+    remainingMs = Math.max(0, ms);
+    if (endTime !== null) {
+        endTime = Date.now() + remainingMs;
+    }
+}
+
+/**
+ * Get milliseconds left in the current phase
+ * While running this is measured against the wall clock, so throttled
+ * intervals in background tabs and sleep/wake cycles don't drift the timer
+ */
+export function getRemainingMs() {
+    if (endTime === null) return remainingMs;
+    return Math.max(0, endTime - Date.now());
+}
+
+/**
+ * Get milliseconds the timer has actually run in the current phase
+ */
+export function getElapsedMs() {
+    if (segmentStartedAt === null) return elapsedMs;
+    return elapsedMs + (Date.now() - segmentStartedAt);
+}
+
+/**
+ * Check whether the timer is counting up through a flow session
+ */
+function isCountingUp() {
+    return isFlowMode && earnedBreakMinutes === null && extensionMinutes === null;
+}
+
+/**
+ * Split the displayed time into whole minutes and seconds
+ * Countdowns round remaining time up, flow sessions show elapsed time
+ */
+function getRemainingParts() {
+    const totalSeconds = isCountingUp()
+        ? Math.floor(getElapsedMs() / MS_PER_SECOND)
+        : Math.ceil(getRemainingMs() / MS_PER_SECOND);
+    return {
+        minutes: Math.floor(totalSeconds / 60),
+        seconds: totalSeconds % 60
+    };
+}
+
+/**
+ * Get the phase of the active routine the timer is in
+ * @returns {{ type: string, minutes: number, profileId?: string }}
+ */
+export function getCurrentPhase() {
+    // An extension runs before the phase that was due next
+    if (extensionMinutes !== null) {
+        return { type: PHASE_TYPES.WORK, minutes: extensionMinutes };
+    }
+    if (isFlowMode) {
+        return earnedBreakMinutes === null
+            ? { type: PHASE_TYPES.WORK, minutes: 0 }
+            : { type: PHASE_TYPES.BREAK, minutes: earnedBreakMinutes };
+    }
+    const { phases } = getActiveRoutine();
+    // A routine without phases would leave the timer with nothing to run
+    if (phases.length === 0) {
+        return { type: PHASE_TYPES.WORK, minutes: CONFIG.TIMER.DEFAULT_MINUTES };
+    }
+    return phases[phaseIndex % phases.length];
+}
+
 /**
  * Get current timer values
  */
 export function getTimerState() {
+    const { minutes, seconds } = getRemainingParts();
+    const { phases } = getActiveRoutine();
     return {
-        minutes: timerMinutes,
-        seconds: timerSeconds,
+        minutes,
+        seconds,
         isRunning: isTimerRunning,
-        isBreakMode: isBreakMode,
-        completedSessions: completedSessions
+        isBreakMode: getCurrentPhase().type !== PHASE_TYPES.WORK,
+        isFlowMode,
+        isCountingUp: isCountingUp(),
+        isExtension: extensionMinutes !== null,
+        completedSessions: completedSessions,
+        phaseIndex: isFlowMode ? Number(earnedBreakMinutes !== null) : phaseIndex % phases.length,
+        phaseCount: isFlowMode ? 2 : phases.length
     };
 }
 
@@ -29,33 +129,30 @@ export function getTimerState() {
  * Set timer values
  */
 export function setTimerValues(minutes, seconds) {
-    timerMinutes = Math.max(0, minutes);
-    timerSeconds = Math.max(0, Math.min(59, seconds));
+    setRemainingMs(toMs(Math.max(0, minutes), Math.max(0, Math.min(59, seconds))));
+    plannedMs = getElapsedMs() + remainingMs;
 }
 
 /**
- * Reset timer to default
+ * Reset the current phase to its planned length
  */
 export function resetTimer() {
-    timerMinutes = CONFIG.TIMER.DEFAULT_MINUTES;
-    timerSeconds = CONFIG.TIMER.DEFAULT_SECONDS;
+    phaseStartedAt = null;
+    elapsedMs = 0;
+    segmentStartedAt = segmentStartedAt === null ? null : Date.now();
+    pausedMs = 0;
+    pausedAt = null;
+    pauseCount = 0;
+    setRemainingMs(toMs(getCurrentPhase().minutes, CONFIG.TIMER.DEFAULT_SECONDS));
+    plannedMs = remainingMs;
 }
 
 /**
- * Decrement timer by one second
- * Returns true if timer is complete, false otherwise
+ * Check the timer against the wall clock
+ * Returns true if timer is complete, false otherwise (flow sessions never complete)
  */
-export function decrementTimer() {
-    if (timerSeconds === 0) {
-        if (timerMinutes === 0) {
-            return true; // Timer complete
-        }
-        timerMinutes--;
-        timerSeconds = 59;
-    } else {
-        timerSeconds--;
-    }
-    return false; // Timer still running
+export function tickTimer() {
+    return !isCountingUp() && getRemainingMs() === 0;
 }
 
 /**
@@ -72,36 +169,116 @@ export function clearTimerInterval() {
     }
 }
 
-export function setTimerRunning(running) {
+/**
+ * Start or pause the countdown
+ * Starting fixes the end time on the wall clock, pausing freezes what is left
+ * @param {boolean} running - Whether the clock should run
+ * @param {number} [pauseAt] - Backdate a pause to this time (ms), e.g. to when
+ *   the user walked away - never before the clock last started
+ */
+export function setTimerRunning(running, pauseAt = Date.now()) {
+    if (running && endTime === null) {
+        endTime = Date.now() + remainingMs;
+        segmentStartedAt = Date.now();
+        phaseStartedAt = phaseStartedAt ?? Date.now();
+        if (pausedAt !== null) {
+            pausedMs += Date.now() - pausedAt;
+            pausedAt = null;
+        }
+    } else if (!running && endTime !== null) {
+        const stoppedAt = Math.max(segmentStartedAt, Math.min(pauseAt, Date.now()));
+        remainingMs = Math.max(0, endTime - stoppedAt);
+        elapsedMs += stoppedAt - segmentStartedAt;
+        endTime = null;
+        segmentStartedAt = null;
+        pausedAt = stoppedAt;
+        pauseCount++;
+    }
     isTimerRunning = running;
 }
 
+/**
+ * Check whether the current phase hasn't been started yet
+ */
+export function isPhaseFresh() {
+    return phaseStartedAt === null;
+}
+
+/**
+ * Summarize the current phase for the session history
+ * Take this before stopping the clock, so finishing isn't counted as a pause
+ * @returns {{ plannedMs: number|null, focusedMs: number, pausedMs: number,
+ *             pauseCount: number, startedAt: number|null }}
+ */
+export function getPhaseLog() {
+    return {
+        plannedMs: isCountingUp() ? null : plannedMs,
+        focusedMs: getElapsedMs(),
+        pausedMs: pausedMs + (pausedAt === null ? 0 : Date.now() - pausedAt),
+        pauseCount,
+        startedAt: phaseStartedAt
+    };
+}
+
 /**
  * Format timer for display
  */
 export function formatTimer() {
-    const mins = String(timerMinutes).padStart(2, '0');
-    const secs = String(timerSeconds).padStart(2, '0');
+    const { minutes, seconds } = getRemainingParts();
+    const mins = String(minutes).padStart(2, '0');
+    const secs = String(seconds).padStart(2, '0');
     return `${mins}:${secs}`;
 }
 
 /**
- * Start break mode
+ * Move on to the next phase of the routine, wrapping around at the end
  */
-export function startBreak() {
-    isBreakMode = true;
-    const isLongBreak = completedSessions % CONFIG.TIMER.SESSIONS_BEFORE_LONG_BREAK === 0 && completedSessions > 0;
-    timerMinutes = isLongBreak ? CONFIG.TIMER.LONG_BREAK_MINUTES : CONFIG.TIMER.BREAK_MINUTES;
-    timerSeconds = 0;
+export function advancePhase() {
+    if (extensionMinutes !== null) {
+        // The phase that was due before the extension is still next
+        extensionMinutes = null;
+    } else if (isFlowMode) {
+        // After the earned break, flow mode counts up again
+        earnedBreakMinutes = null;
+    } else {
+        phaseIndex = (phaseIndex + 1) % getActiveRoutine().phases.length;
+    }
+    resetTimer();
 }
 
 /**
- * End break mode and return to work
+ * Go back to the first phase of the routine and clear the session counter
  */
-export function endBreak() {
-    isBreakMode = false;
-    timerMinutes = CONFIG.TIMER.DEFAULT_MINUTES;
-    timerSeconds = CONFIG.TIMER.DEFAULT_SECONDS;
+export function resetRoutine() {
+    phaseIndex = 0;
+    earnedBreakMinutes = null;
+    extensionMinutes = null;
+    completedSessions = 0;
+    resetTimer();
+}
+
+/**
+ * Switch between the routine's countdown phases and count-up flow mode
+ */
+export function setFlowMode(enabled) {
+    isFlowMode = enabled;
+    resetRoutine();
+}
+
+/**
+ * End a flow session and count down the break it earned
+ */
+export function startEarnedBreak(minutes) {
+    earnedBreakMinutes = minutes;
+    resetTimer();
+}
+
+/**
+ * Add extra focus time after a focus phase finished, before the next phase
+ */
+export function startExtension(minutes) {
+    extensionMinutes = minutes;
+    resetTimer();
 }
 
 /**
@@ -112,8 +289,53 @@ export function incrementCompletedSessions() {
 }
 
 /**
- * Reset session counter
+ * Snapshot the timer so an in-progress session can survive a reload
  */
-export function resetSessionCounter() {
-    completedSessions = 0;
+export function getTimerSnapshot() {
+    return {
+        remainingMs: getRemainingMs(),
+        endTime,
+        elapsedMs, // Banked time only - the running stretch is segmentStartedAt
+        segmentStartedAt,
+        phaseStartedAt,
+        plannedMs,
+        pausedMs,
+        pausedAt,
+        pauseCount,
+        isRunning: isTimerRunning,
+        routineId: getActiveRoutine().id,
+        phaseIndex,
+        isFlowMode,
+        isCountingUp: isCountingUp(),
+        earnedBreakMinutes,
+        extensionMinutes,
+        completedSessions
+    };
+}
+
+/**
+ * Restore a snapshot taken with getTimerSnapshot
+ * The timer is always restored stopped, with the snapshot's remaining
+ * and elapsed time
+ */
+export function restoreTimerSnapshot(snapshot) {
+    clearTimerInterval();
+    endTime = null;
+    segmentStartedAt = null;
+    isTimerRunning = false;
+    isFlowMode = Boolean(snapshot.isFlowMode);
+    earnedBreakMinutes = snapshot.earnedBreakMinutes ?? null;
+    extensionMinutes = snapshot.extensionMinutes ?? null;
+    elapsedMs = Math.max(0, snapshot.elapsedMs || 0);
+    phaseStartedAt = snapshot.phaseStartedAt ?? Date.now();
+    // Snapshots from before routines only knew about break mode
+    const savedIndex = snapshot.phaseIndex ?? (snapshot.isBreakMode ? 1 : 0);
+    phaseIndex = Math.max(0, savedIndex) % getActiveRoutine().phases.length;
+    completedSessions = Math.max(0, snapshot.completedSessions || 0);
+    remainingMs = Math.max(0, snapshot.remainingMs);
+    plannedMs = snapshot.plannedMs ?? elapsedMs + remainingMs;
+    pausedMs = Math.max(0, snapshot.pausedMs || 0);
+    pauseCount = Math.max(0, snapshot.pauseCount || 0);
+    // Waiting to resume after a reload counts as paused time
+    pausedAt = snapshot.pausedAt ?? Date.now();
 }
@@ -0,0 +1,123 @@
+/* ============================================
+   GOAL PROGRESS - Daily Goal Ring by the Timer
+   ============================================ */
+
+import { getTodayProgress, formatGoalProgress } from '../stats/dailyGoal.js';
+import { onSessionsChange, toDayKey } from './sessionHistory.js';
+import { onSettingsChange } from '../settings.js';
+import { updateStatus } from './status.js';
+import { notify } from './notify.js';
+import { CONFIG } from '../config.js';
+
+const CELEBRATED_STORAGE_KEY = 'letsfocus_goal_celebrated';
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const RING_RADIUS = 8;
+const RING_CIRCUMFERENCE = 2 * Math.PI * RING_RADIUS;
+
+let container = null;
+let ring = null;
+let label = null;
+let renderId = 0;
+
+/**
+ * Get the day the goal was last celebrated, as YYYY-MM-DD
+ */
+function loadCelebratedDay() {
+    try {
+        return localStorage.getItem(CELEBRATED_STORAGE_KEY);
+    } catch (error) {
+        console.warn('Failed to load goal state:', error);
+        return null;
+    }
+}
+
+/**
+ * Remember that today's goal has been celebrated
+ */
+function saveCelebratedDay(day) {
+    try {
+        localStorage.setItem(CELEBRATED_STORAGE_KEY, day);
+    } catch (error) {
+        console.warn('Failed to save goal state:', error);
+    }
+}
+
+/**
+ * Create the progress ring
+ */
+function createRing() {
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('viewBox', '0 0 20 20');
+    svg.setAttribute('class', 'w-5 h-5 -rotate-90');
+    svg.setAttribute('aria-hidden', 'true');
+
+    const track = document.createElementNS(SVG_NS, 'circle');
+    const progress = document.createElementNS(SVG_NS, 'circle');
+    [track, progress].forEach((circle) => {
+        circle.setAttribute('cx', '10');
+        circle.setAttribute('cy', '10');
+        circle.setAttribute('r', String(RING_RADIUS));
+        circle.setAttribute('fill', 'none');
+        circle.setAttribute('stroke-width', '2.5');
+    });
+    track.setAttribute('stroke', 'rgba(255, 255, 255, 0.1)');
+    progress.setAttribute('stroke', 'var(--color-primary)');
+    progress.setAttribute('stroke-linecap', 'round');
+    progress.setAttribute('stroke-dasharray', String(RING_CIRCUMFERENCE));
+
+    svg.append(track, progress);
+    return { svg, progress };
+}
+
+/**
+ * Celebrate the goal once per day
+ */
+function celebrate(progress) {
+    const today = toDayKey(new Date());
+    if (loadCelebratedDay() === today) return;
+    saveCelebratedDay(today);
+
+    updateStatus(CONFIG.MESSAGES.GOAL_REACHED, true);
+    notify(`Daily goal reached: ${formatGoalProgress(progress)} 🎉`, '🎉');
+}
+
+/**
+ * Show today's progress, hidden when no goal is set
+ * @param {boolean} [canCelebrate] - Celebrate if the goal is met, only after a session is saved
+ */
+async function renderProgress(canCelebrate = false) {
+    const id = ++renderId;
+    const progress = await getTodayProgress();
+    if (id !== renderId) return;
+
+    container.classList.toggle('hidden', !progress);
+    container.classList.toggle('flex', Boolean(progress));
+    if (!progress) return;
+
+    const ratio = Math.min(1, progress.value / progress.target);
+    ring.setAttribute('stroke-dashoffset', String(RING_CIRCUMFERENCE * (1 - ratio)));
+    label.textContent = `${formatGoalProgress(progress)} today${progress.isMet ? ' ✓' : ''}`;
+    container.classList.toggle('text-[var(--color-primary)]', progress.isMet);
+    container.classList.toggle('text-white/60', !progress.isMet);
+
+    if (progress.isMet && canCelebrate) {
+        celebrate(progress);
+    }
+}
+
+/**
+ * Initialize the daily goal indicator next to the timer
+ */
+export function initGoalProgress() {
+    container = document.getElementById('goalProgress');
+    if (!container) return;
+
+    const { svg, progress } = createRing();
+    ring = progress;
+    label = document.createElement('span');
+    container.append(svg, label);
+
+    onSessionsChange(() => renderProgress(true));
+    onSettingsChange(() => renderProgress());
+    renderProgress();
+}
@@ -0,0 +1,373 @@
+/* ============================================
+   HISTORY PANEL - Browse Past Sessions (Tailwind)
+   ============================================ */
+
+import {
+    getSessions,
+    getHistoryProfiles,
+    getSessionKey,
+    getSessionDay,
+    deleteSession,
+    clearSessions
+} from './sessionHistory.js';
+import { createPanel, createPanelSection, createPanelButton, createSelect, setSelectOptions, FIELD_CLASSES } from './panel.js';
+import { downloadSessions, EXPORT_FORMATS } from '../data/sessionExport.js';
+import { parseBackupFile, previewImport, applyImport } from '../data/sessionImport.js';
+
+const TYPE_LABELS = {
+    work: '🎯 Focus',
+    break: '☕ Break'
+};
+
+const OUTCOME_LABELS = {
+    skipped: 'skipped',
+    abandoned: 'abandoned'
+};
+
+// What the user chose when a focus session ended
+const END_ACTION_LABELS = {
+    extend: (session) => `extended +${session.extendedBy}`,
+    'skip-break': () => 'break skipped',
+    'end-cycle': () => 'cycle ended'
+};
+
+const filters = {
+    type: '',
+    profile: '',
+    from: '',
+    to: ''
+};
+
+let listContainer = null;
+let profileSelect = null;
+let renderId = 0;
+
+/**
+ * Create a date input bound to a filter
+ */
+function createDateFilter(key, label) {
+    const input = document.createElement('input');
+    input.type = 'date';
+    input.className = FIELD_CLASSES;
+    input.setAttribute('aria-label', label);
+    input.value = filters[key];
+    input.addEventListener('change', () => {
+        filters[key] = input.value;
+        renderList();
+    });
+    return input;
+}
+
+/**
+ * Format minutes for display, e.g. "24.5 min"
+ */
+function formatMinutes(minutes) {
+    return `${Math.round((minutes || 0) * 10) / 10} min`;
+}
+
+/**
+ * Create the row for one session
+ */
+function createSessionRow(session) {
+    const row = document.createElement('li');
+    row.className = 'flex items-center gap-3 px-3 py-2 rounded-md bg-white/5 border border-white/10 text-xs font-mono';
+
+    const time = document.createElement('span');
+    time.className = 'text-white/50';
+    time.textContent = new Date(session.startedAt || session.timestamp)
+        .toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+    const type = document.createElement('span');
+    type.className = 'text-white/90';
+    type.textContent = session.mode === 'extension' ? '⏱️ Extra' : TYPE_LABELS[session.type] || session.type;
+
+    const duration = document.createElement('span');
+    duration.className = 'text-white/70';
+    const planned = session.plannedDuration;
+    duration.textContent = planned && planned !== session.duration
+        ? `${formatMinutes(session.duration)} of ${planned}`
+        : formatMinutes(session.duration);
+
+    // What the session was for, falling back to the sound profile
+    const label = document.createElement('span');
+    label.className = 'flex-1 truncate text-white/50';
+    const tags = (session.tags || []).map((tag) => `#${tag}`).join(' ');
+    const intent = session.intent || session.taskTitle;
+    label.textContent = [intent, tags].filter(Boolean).join(' ') || session.profile || '';
+    label.title = [intent, tags, session.profile, session.note].filter(Boolean).join(' · ');
+
+    row.append(time, type, duration, label);
+
+    if (session.rating) {
+        const rating = document.createElement('span');
+        rating.className = 'text-[var(--color-primary)]';
+        rating.textContent = `★${session.rating}`;
+        rating.title = session.note ? `Focus ${session.rating}/5 - ${session.note}` : `Focus ${session.rating}/5`;
+        row.appendChild(rating);
+    }
+
+    if (session.distractionCount > 0) {
+        const distractions = document.createElement('span');
+        distractions.className = 'text-amber-300/80';
+        distractions.textContent = `↗${session.distractionCount}`;
+        distractions.title = `Left the tab ${session.distractionCount}× for ${formatMinutes(session.awayDuration || 0)}`;
+        row.appendChild(distractions);
+    }
+
+    if (END_ACTION_LABELS[session.endAction]) {
+        const endAction = document.createElement('span');
+        endAction.className = 'px-1.5 rounded bg-[var(--color-primary)]/10 text-[var(--color-primary)]/80';
+        endAction.textContent = END_ACTION_LABELS[session.endAction](session);
+        row.appendChild(endAction);
+    }
+
+    if (OUTCOME_LABELS[session.outcome]) {
+        const outcome = document.createElement('span');
+        outcome.className = 'px-1.5 rounded bg-white/10 text-white/60';
+        outcome.textContent = OUTCOME_LABELS[session.outcome];
+        row.appendChild(outcome);
+    }
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.type = 'button';
+    deleteBtn.className = 'w-6 h-6 rounded text-white/40 hover:text-white hover:bg-white/10 transition-all duration-200';
+    deleteBtn.setAttribute('aria-label', 'Delete session');
+    deleteBtn.textContent = '✕';
+    deleteBtn.addEventListener('click', async () => {
+        await deleteSession(getSessionKey(session));
+        renderList();
+    });
+    row.appendChild(deleteBtn);
+
+    return row;
+}
+
+/**
+ * Render the filtered sessions grouped by day
+ */
+async function renderList() {
+    // Only the latest render may draw - filters can change mid-query
+    const id = ++renderId;
+    const sessions = await getSessions({ ...filters });
+    if (id !== renderId) return;
+
+    listContainer.replaceChildren();
+
+    if (sessions.length === 0) {
+        const isFiltered = Object.values(filters).some(Boolean);
+        const empty = document.createElement('p');
+        empty.className = 'text-sm text-white/50 text-center py-6';
+        empty.textContent = isFiltered ? 'No sessions match these filters.' : 'No sessions yet.';
+        listContainer.appendChild(empty);
+        return;
+    }
+
+    const days = new Map();
+    sessions.forEach((session) => {
+        const day = getSessionDay(session);
+        if (!days.has(day)) days.set(day, []);
+        days.get(day).push(session);
+    });
+
+    days.forEach((daySessions, day) => {
+        const focusMinutes = daySessions
+            .filter((session) => session.type === 'work')
+            .reduce((total, session) => total + (session.duration || 0), 0);
+        const label = new Date(`${day}T00:00`).toLocaleDateString([], {
+            weekday: 'short',
+            day: 'numeric',
+            month: 'short',
+            year: 'numeric'
+        });
+
+        const section = createPanelSection(`${label} · ${formatMinutes(focusMinutes)} focused`);
+        const list = document.createElement('ul');
+        list.className = 'flex flex-col gap-1.5';
+        daySessions.forEach((session) => list.appendChild(createSessionRow(session)));
+        section.appendChild(list);
+        listContainer.appendChild(section);
+    });
+}
+
+/**
+ * Refresh the profile filter with the profiles found in history
+ */
+async function renderProfileOptions() {
+    const profiles = (await getHistoryProfiles()).filter(Boolean);
+    setSelectOptions(profileSelect, [['', 'All sounds'], ...profiles.map((profile) => [profile, profile])]);
+    filters.profile = profiles.includes(filters.profile) ? filters.profile : '';
+    profileSelect.value = filters.profile;
+}
+
+/**
+ * Refresh everything an import or deletion can change
+ */
+async function refreshHistory() {
+    await renderProfileOptions();
+    renderList();
+}
+
+/**
+ * Plural helper for import summaries, e.g. "3 sessions"
+ */
+function countLabel(count, noun) {
+    return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Show what an import would change and let the user commit or cancel it
+ */
+function renderImportPreview(container, preview) {
+    container.replaceChildren();
+
+    const lines = [
+        `${countLabel(preview.newSessions.length, 'new session')} will be added`,
+        ...(preview.duplicates > 0 ? [`${countLabel(preview.duplicates, 'session')} already in history`] : []),
+        ...(preview.skipped > 0 ? [`${countLabel(preview.skipped, 'invalid row')} skipped`] : []),
+        ...preview.sectionChanges.map(({ label, summary }) => `${label}: ${summary}`)
+    ];
+
+    const list = document.createElement('ul');
+    list.className = 'flex flex-col gap-1 text-xs font-mono text-white/70';
+    lines.forEach((line) => {
+        const item = document.createElement('li');
+        item.textContent = line;
+        list.appendChild(item);
+    });
+
+    const actions = document.createElement('div');
+    actions.className = 'flex gap-2 justify-end';
+    actions.appendChild(createPanelButton('Cancel', () => container.replaceChildren()));
+
+    const importBtn = createPanelButton('Import', async () => {
+        try {
+            await applyImport(preview);
+        } catch (error) {
+            console.warn('Failed to import backup:', error);
+            showImportMessage(container, 'Import failed. Some of the backup may not have been saved.', true);
+            return;
+        }
+        showImportMessage(container, 'Import complete.');
+        refreshHistory();
+    });
+    importBtn.disabled = preview.newSessions.length === 0 && preview.sectionChanges.length === 0;
+    actions.appendChild(importBtn);
+
+    container.append(list, actions);
+}
+
+/**
+ * Show a one-line import result or error
+ */
+function showImportMessage(container, message, isError = false) {
+    const text = document.createElement('p');
+    text.className = `text-xs ${isError ? 'text-red-400' : 'text-white/70'}`;
+    text.setAttribute('role', isError ? 'alert' : 'status');
+    text.textContent = message;
+    container.replaceChildren(text);
+}
+
+/**
+ * Create the import section: pick a file, preview, then commit
+ */
+function createImportSection() {
+    const section = createPanelSection('Import backup');
+
+    const preview = document.createElement('div');
+    preview.className = 'flex flex-col gap-2';
+
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.json,.csv,application/json,text/csv';
+    fileInput.className = 'hidden';
+    fileInput.addEventListener('change', async () => {
+        const [file] = fileInput.files;
+        fileInput.value = '';
+        if (!file) return;
+
+        const backup = parseBackupFile(await file.text());
+        if (backup.error) {
+            showImportMessage(preview, backup.error, true);
+            return;
+        }
+
+        try {
+            renderImportPreview(preview, await previewImport(backup));
+        } catch (error) {
+            console.warn('Failed to preview import:', error);
+            showImportMessage(preview, 'Could not read the session history to compare against.', true);
+        }
+    });
+
+    const chooseBtn = createPanelButton('Choose JSON or CSV file…', () => fileInput.click());
+    const actions = document.createElement('div');
+    actions.className = 'flex gap-2';
+    actions.append(chooseBtn, fileInput);
+
+    section.append(actions, preview);
+    return section;
+}
+
+/**
+ * Initialize the history panel
+ */
+export function initHistoryPanel() {
+    const { body } = createPanel({
+        id: 'historyPanel',
+        title: 'History',
+        icon: '📜',
+        onOpen: refreshHistory
+    });
+
+    const filterRow = document.createElement('div');
+    filterRow.className = 'flex flex-wrap gap-2 items-center';
+
+    const typeSelect = createSelect([['', 'All types'], ['work', 'Focus'], ['break', 'Break']], filters.type, 'Filter by type');
+    typeSelect.addEventListener('change', () => {
+        filters.type = typeSelect.value;
+        renderList();
+    });
+
+    profileSelect = createSelect([['', 'All sounds']], filters.profile, 'Filter by sound profile');
+    profileSelect.addEventListener('change', () => {
+        filters.profile = profileSelect.value;
+        renderList();
+    });
+
+    filterRow.append(
+        typeSelect,
+        profileSelect,
+        createDateFilter('from', 'From date'),
+        createDateFilter('to', 'To date')
+    );
+
+    listContainer = document.createElement('div');
+    listContainer.className = 'flex flex-col gap-4';
+
+    // Exports cover the chosen date range, whatever the other filters
+    const exportSection = createPanelSection('Export date range');
+    const exportActions = document.createElement('div');
+    exportActions.className = 'flex gap-2 flex-wrap';
+    [
+        ['CSV', EXPORT_FORMATS.CSV],
+        ['JSON backup', EXPORT_FORMATS.JSON],
+        ['Calendar (.ics)', EXPORT_FORMATS.ICS]
+    ].forEach(([label, format]) => {
+        exportActions.appendChild(createPanelButton(label, async () => {
+            const range = { from: filters.from, to: filters.to };
+            downloadSessions(await getSessions(range), format, range);
+        }));
+    });
+    exportSection.appendChild(exportActions);
+
+    const footer = document.createElement('div');
+    footer.className = 'flex justify-end';
+    footer.appendChild(createPanelButton('Clear all', async () => {
+        if (window.confirm('Delete all session history? This cannot be undone.')) {
+            await clearSessions();
+            refreshHistory();
+        }
+    }));
+
+    body.append(filterRow, listContainer, exportSection, createImportSection(), footer);
+}
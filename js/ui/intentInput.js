@@ -0,0 +1,85 @@
+/* ============================================
+   INTENT INPUT - Session Intent & Tags (Tailwind)
+   ============================================ */
+
+import { getCurrentIntent, setCurrentIntent, getRecentIntents, parseTags } from '../data/intents.js';
+
+let intentForm = null;
+let intentInput = null;
+let tagsInput = null;
+let recentList = null;
+let intentDisplay = null;
+
+/**
+ * Fill the autocomplete list with recent intents
+ */
+function renderRecentIntents() {
+    recentList.replaceChildren(...getRecentIntents().map((intent) => {
+        const option = document.createElement('option');
+        option.value = intent;
+        return option;
+    }));
+}
+
+/**
+ * Save what is typed into the inputs
+ */
+function saveInputs() {
+    setCurrentIntent(intentInput.value, parseTags(tagsInput.value));
+}
+
+/**
+ * Describe the intent for the timer, e.g. "Write RFC · #docs #q3"
+ */
+function formatIntent({ intent, tags }) {
+    return [intent, tags.map((tag) => `#${tag}`).join(' ')].filter(Boolean).join(' · ');
+}
+
+/**
+ * Show the inputs between sessions and the intent while the timer runs
+ * @param {boolean} isEditable - Whether the intent can be changed right now
+ */
+export function updateIntentDisplay(isEditable) {
+    if (!intentForm) return;
+
+    const current = getCurrentIntent();
+    const label = formatIntent(current);
+
+    intentForm.classList.toggle('hidden', !isEditable);
+    intentDisplay.classList.toggle('hidden', isEditable || !label);
+    intentDisplay.textContent = label ? `🎯 ${label}` : '';
+
+    if (isEditable) {
+        intentInput.value = current.intent;
+        tagsInput.value = current.tags.join(', ');
+        renderRecentIntents();
+    }
+}
+
+/**
+ * Initialize the intent inputs
+ * @param {Function} onSubmit - Called when Enter is pressed in the inputs
+ */
+export function initIntentInput(onSubmit) {
+    intentForm = document.getElementById('intentForm');
+    intentInput = document.getElementById('intentInput');
+    tagsInput = document.getElementById('tagsInput');
+    recentList = document.getElementById('recentIntents');
+    intentDisplay = document.getElementById('intentDisplay');
+    if (!intentForm) return;
+
+    intentInput.addEventListener('change', saveInputs);
+    tagsInput.addEventListener('change', saveInputs);
+
+    // Enter in either input saves and starts the session
+    intentForm.addEventListener('submit', (e) => e.preventDefault());
+    intentForm.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter' || e.isComposing) return;
+        e.preventDefault();
+        saveInputs();
+        e.target.blur();
+        onSubmit?.();
+    });
+
+    updateIntentDisplay(true);
+}
@@ -12,11 +12,20 @@ import { getTimerState } from '../timer/timerState.js';
  * @param {Function} handlers.onIncreaseTime - Called when +/= is pressed
  * @param {Function} handlers.onDecreaseTime - Called when - is pressed
  * @param {Function} handlers.onSelectProfile - Called when 1-9 is pressed (receives profile index)
+ * @param {Function} handlers.onCancel - Called when Escape is pressed
+ * @param {Function} handlers.onExtend - Called when E is pressed
+ * @param {Function} handlers.onSkipBreak - Called when S is pressed
+ * @param {Function} handlers.onEndCycle - Called when X is pressed
  */
 export function initKeyboardShortcuts(handlers) {
     document.addEventListener('keydown', (e) => {
         // Ignore if user is typing in an input field
-        if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') {
+        if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) {
+            return;
+        }
+
+        // Ignore while a panel is open
+        if (e.target.closest?.('[role="dialog"]')) {
             return;
         }
 
@@ -67,6 +76,26 @@ export function initKeyboardShortcuts(handlers) {
                 break;
             }
 
+            case 'escape':
+                handlers.onCancel?.();
+                break;
+
+            // After a focus session ends
+            case 'e':
+                e.preventDefault();
+                handlers.onExtend?.();
+                break;
+
+            case 's':
+                e.preventDefault();
+                handlers.onSkipBreak?.();
+                break;
+
+            case 'x':
+                e.preventDefault();
+                handlers.onEndCycle?.();
+                break;
+
             case '?':
                 e.preventDefault();
                 showKeyboardShortcutsHelp();
@@ -87,6 +116,10 @@ R      - Reset timer
 +/=    - Add 5 minutes
 -      - Remove 5 minutes
 1-9    - Select sound profile
+Esc    - Cancel automatic start
+E      - Extend a finished focus session
+S      - Skip the break
+X      - End the cycle
 ?      - Show this help
     `.trim();
 
@@ -0,0 +1,220 @@
+/* ============================================
+   MIXER PANEL - Layer Profiles & Mix Presets
+   ============================================ */
+
+import {
+    BASE_LAYER_ID,
+    getMix,
+    addMixerLayer,
+    updateMixerLayer,
+    removeMixerLayer,
+    getMixPresets,
+    saveMixPreset,
+    applyMixPreset,
+    deleteMixPreset
+} from '../audio/mixer.js';
+import { getAllProfiles, getProfileById } from '../audio/soundProfiles.js';
+import { getCurrentProfile, selectProfileById } from './profilePicker.js';
+import { createPanel, createPanelSection, createPanelButton, createSelect, FIELD_CLASSES } from './panel.js';
+
+let panelBody = null;
+
+/**
+ * Create a small toggle button such as M (mute) or S (solo)
+ */
+function createToggleButton(label, title, isOn, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `
+        w-7 h-7 rounded-md border text-xs font-mono transition-all duration-200
+        ${isOn ? 'border-[var(--color-primary)] text-[var(--color-primary)] bg-[var(--color-primary)]/10' : 'border-white/10 text-white/50 hover:text-white hover:bg-white/10'}
+    `.trim().replace(/\s+/g, ' ');
+    button.textContent = label;
+    button.title = title;
+    button.setAttribute('aria-label', title);
+    button.setAttribute('aria-pressed', isOn ? 'true' : 'false');
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+/**
+ * Create the row for one layer: on/off, name, volume, mute, solo and remove
+ * @param {string} id - Layer id, BASE_LAYER_ID for the selected profile
+ */
+function createLayerRow(id, profile, layer) {
+    const isBase = id === BASE_LAYER_ID;
+
+    const row = document.createElement('div');
+    row.className = `
+        flex items-center gap-2 p-2 rounded-lg border border-white/10 bg-white/5
+        ${layer.enabled === false ? 'opacity-50' : ''}
+    `.trim().replace(/\s+/g, ' ');
+
+    if (!isBase) {
+        const enabled = document.createElement('input');
+        enabled.type = 'checkbox';
+        enabled.checked = layer.enabled;
+        enabled.className = 'w-4 h-4 accent-[var(--color-primary)]';
+        enabled.setAttribute('aria-label', `Play ${profile.name}`);
+        enabled.addEventListener('change', () => {
+            updateMixerLayer(id, { enabled: enabled.checked });
+            renderMixer();
+        });
+        row.appendChild(enabled);
+    }
+
+    const name = document.createElement('span');
+    name.className = 'w-32 truncate text-sm text-white';
+    name.textContent = `${profile.icon} ${profile.name}`;
+    name.title = isBase ? 'Selected profile' : profile.description;
+
+    const volume = document.createElement('input');
+    volume.type = 'range';
+    volume.min = 0;
+    volume.max = 100;
+    volume.value = layer.volume;
+    volume.className = 'flex-1 accent-[var(--color-primary)]';
+    volume.setAttribute('aria-label', `${profile.name} volume`);
+    volume.addEventListener('input', () => updateMixerLayer(id, { volume: Number(volume.value) }));
+
+    row.append(
+        name,
+        volume,
+        createToggleButton('M', `Mute ${profile.name}`, layer.muted, () => {
+            updateMixerLayer(id, { muted: !layer.muted });
+            renderMixer();
+        }),
+        createToggleButton('S', `Solo ${profile.name}`, layer.soloed, () => {
+            updateMixerLayer(id, { soloed: !layer.soloed });
+            renderMixer();
+        })
+    );
+
+    if (!isBase) {
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'w-7 h-7 rounded text-white/40 hover:text-white hover:bg-white/10 transition-all duration-200';
+        removeBtn.setAttribute('aria-label', `Remove ${profile.name}`);
+        removeBtn.textContent = '✕';
+        removeBtn.addEventListener('click', () => {
+            removeMixerLayer(id);
+            renderMixer();
+        });
+        row.appendChild(removeBtn);
+    }
+
+    return row;
+}
+
+/**
+ * Create the control for mixing in another profile
+ */
+function createAddLayerRow() {
+    const row = document.createElement('div');
+    row.className = 'flex gap-2';
+
+    const profiles = getAllProfiles();
+    const select = createSelect(
+        profiles.map((profile) => [profile.id, `${profile.icon} ${profile.name}`]),
+        profiles[0]?.id,
+        'Profile to add'
+    );
+    select.classList.add('flex-1');
+
+    row.append(select, createPanelButton('Add layer', () => {
+        addMixerLayer(select.value);
+        renderMixer();
+    }));
+    return row;
+}
+
+/**
+ * Create the preset list and the form for saving the current mix
+ */
+function createPresetSection() {
+    const section = createPanelSection('Mix presets');
+
+    const form = document.createElement('form');
+    form.className = 'flex gap-2';
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.maxLength = 40;
+    nameInput.placeholder = 'Name this mix';
+    nameInput.className = `${FIELD_CLASSES} flex-1 min-w-0`;
+    nameInput.setAttribute('aria-label', 'Preset name');
+    const saveBtn = createPanelButton('Save mix', () => {});
+    saveBtn.type = 'submit';
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        if (saveMixPreset(nameInput.value, getCurrentProfile().id)) {
+            renderMixer();
+        }
+    });
+    form.append(nameInput, saveBtn);
+    section.appendChild(form);
+
+    getMixPresets().forEach((preset) => {
+        const row = document.createElement('div');
+        row.className = 'flex items-center gap-2 p-2 rounded-lg border border-white/10 bg-white/5';
+
+        const name = document.createElement('span');
+        name.className = 'flex-1 truncate text-sm text-white';
+        name.textContent = preset.name;
+
+        const layers = document.createElement('span');
+        layers.className = 'text-xs text-white/50';
+        layers.textContent = [preset.baseProfileId, ...(preset.layers || []).map((layer) => layer.profileId)]
+            .map((id) => getProfileById(id)?.icon)
+            .filter(Boolean)
+            .join(' ');
+
+        row.append(
+            name,
+            layers,
+            createPanelButton('Load', () => {
+                applyMixPreset(preset.id);
+                if (preset.baseProfileId && preset.baseProfileId !== getCurrentProfile().id) {
+                    selectProfileById(preset.baseProfileId);
+                }
+                renderMixer();
+            }),
+            createPanelButton('Delete', () => {
+                deleteMixPreset(preset.id);
+                renderMixer();
+            })
+        );
+        section.appendChild(row);
+    });
+
+    return section;
+}
+
+/**
+ * Render the layers and presets
+ */
+function renderMixer() {
+    panelBody.replaceChildren();
+
+    const { base, layers } = getMix();
+    const layerSection = createPanelSection('Layers');
+    layerSection.appendChild(createLayerRow(BASE_LAYER_ID, getCurrentProfile(), base));
+    layers.forEach((layer) => {
+        layerSection.appendChild(createLayerRow(layer.id, getProfileById(layer.profileId), layer));
+    });
+    layerSection.appendChild(createAddLayerRow());
+
+    panelBody.append(layerSection, createPresetSection());
+}
+
+/**
+ * Initialize the sound mixer panel
+ */
+export function initMixerPanel() {
+    const { body } = createPanel({
+        id: 'mixerPanel',
+        title: 'Mixer',
+        icon: '🎚️',
+        onOpen: renderMixer
+    });
+    panelBody = body;
+}
@@ -0,0 +1,54 @@
+/* ============================================
+   NOTIFY - Desktop Notifications
+   ============================================ */
+
+/**
+ * Build the notification icon from an emoji
+ */
+function getIcon(emoji) {
+    return `data:image/svg+xml,<svg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 100 100'><text y='0.9em' font-size='90'>${emoji}</text></svg>`;
+}
+
+/**
+ * Show a desktop notification if permission was granted
+ * Action buttons need the service worker - without it the notification
+ * is shown without them
+ * @param {string} body - Notification text
+ * @param {string} emoji - Shown as the notification icon
+ * @param {Array<{ action: string, title: string }>} [actions] - Buttons on the notification
+ */
+export function notify(body, emoji, actions = []) {
+    if (!('Notification' in window) || Notification.permission !== 'granted') return;
+
+    if (actions.length > 0 && navigator.serviceWorker?.controller) {
+        navigator.serviceWorker.ready
+            .then((registration) => registration.showNotification('LetsFocus', {
+                body,
+                icon: getIcon(emoji),
+                tag: 'letsfocus-session',
+                actions
+            }))
+            .catch((error) => console.warn('Failed to show notification:', error));
+        return;
+    }
+
+    new Notification('LetsFocus', {
+        body,
+        icon: getIcon(emoji)
+    });
+}
+
+/**
+ * Register a listener for notification action buttons
+ * The service worker forwards the clicked action to the page
+ * @param {Function} listener - Called with the action id
+ */
+export function onNotificationAction(listener) {
+    if (!('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data?.type === 'notification-action' && event.data.action) {
+            listener(event.data.action);
+        }
+    });
+}
@@ -0,0 +1,187 @@
+/* ============================================
+   PANEL - Toolbar Overlay Panels (Tailwind)
+   ============================================ */
+
+const BUTTON_CLASSES = `
+    w-10 h-10 bg-white/5 backdrop-blur-md
+    border border-white/10 rounded-lg
+    flex items-center justify-center
+    text-white/80 text-lg
+    transition-all duration-200
+    hover:bg-white/10 hover:text-white hover:border-[var(--color-primary)]/50
+`.trim().replace(/\s+/g, ' ');
+
+/**
+ * Add a button to the toolbar, before the GitHub link
+ * @param {string} title - Accessible name and tooltip
+ * @param {string} icon - Emoji shown on the button
+ * @param {Function} onClick - Click handler
+ */
+export function createToolbarButton(title, icon, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = BUTTON_CLASSES;
+    button.setAttribute('aria-label', title);
+    button.title = title;
+    button.textContent = icon;
+    button.addEventListener('click', onClick);
+
+    const toolbar = document.getElementById('toolbar');
+    if (toolbar) {
+        toolbar.insertBefore(button, toolbar.lastElementChild);
+    }
+
+    return button;
+}
+
+/**
+ * Create a toolbar button and the overlay panel it opens
+ * @param {Object} options
+ * @param {string} options.id - Panel element id
+ * @param {string} options.title - Heading shown at the top of the panel
+ * @param {string} options.icon - Emoji shown on the toolbar button
+ * @param {Function} [options.onOpen] - Called every time the panel opens
+ * @returns {{ body: HTMLElement, open: Function, close: Function }}
+ */
+export function createPanel({ id, title, icon, onOpen }) {
+    const overlay = document.createElement('div');
+    overlay.id = id;
+    overlay.className = `
+        hidden fixed inset-0 z-[1002]
+        bg-black/60 backdrop-blur-sm
+        flex items-center justify-center p-4
+    `.trim().replace(/\s+/g, ' ');
+
+    const dialog = document.createElement('div');
+    dialog.className = `
+        w-full max-w-lg max-h-[85vh] overflow-y-auto
+        bg-[var(--color-bg-secondary)]
+        border border-white/10 rounded-lg
+        p-5 md:p-6 text-white
+    `.trim().replace(/\s+/g, ' ');
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-modal', 'true');
+    dialog.setAttribute('aria-labelledby', `${id}Title`);
+
+    const header = document.createElement('div');
+    header.className = 'flex items-center justify-between mb-4';
+
+    const heading = document.createElement('h2');
+    heading.id = `${id}Title`;
+    heading.className = 'text-sm font-mono uppercase tracking-wider text-white/80';
+    heading.textContent = `${icon} ${title}`;
+
+    const closeBtn = document.createElement('button');
+    closeBtn.type = 'button';
+    closeBtn.className = 'w-8 h-8 rounded-md text-white/60 hover:text-white hover:bg-white/10 transition-all duration-200';
+    closeBtn.setAttribute('aria-label', `Close ${title}`);
+    closeBtn.textContent = '✕';
+
+    const body = document.createElement('div');
+    body.className = 'flex flex-col gap-4';
+
+    header.appendChild(heading);
+    header.appendChild(closeBtn);
+    dialog.appendChild(header);
+    dialog.appendChild(body);
+    overlay.appendChild(dialog);
+    document.body.appendChild(overlay);
+
+    const close = () => {
+        overlay.classList.add('hidden');
+        toolbarBtn.focus();
+    };
+
+    const open = () => {
+        onOpen?.();
+        overlay.classList.remove('hidden');
+        closeBtn.focus();
+    };
+
+    const toolbarBtn = createToolbarButton(title, icon, open);
+    closeBtn.addEventListener('click', close);
+
+    // Close on backdrop click or Escape
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) close();
+    });
+    overlay.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            e.stopPropagation();
+            close();
+        }
+    });
+
+    return { body, open, close };
+}
+
+/**
+ * Create a titled section inside a panel body
+ */
+export function createPanelSection(title) {
+    const section = document.createElement('section');
+    section.className = 'flex flex-col gap-3';
+
+    const heading = document.createElement('h3');
+    heading.className = 'text-xs font-mono uppercase tracking-wider text-white/50';
+    heading.textContent = title;
+
+    section.appendChild(heading);
+    return section;
+}
+
+/**
+ * Create a small secondary button used inside panels
+ */
+export function createPanelButton(label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `
+        px-3 py-1.5 bg-white/5 border border-white/10
+        text-white/70 text-xs font-mono rounded-md
+        transition-all duration-200
+        hover:bg-white/10 hover:text-white hover:border-[var(--color-primary)]/50
+        disabled:opacity-30 disabled:cursor-not-allowed
+    `.trim().replace(/\s+/g, ' ');
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+/**
+ * Classes shared by the text inputs and dropdowns inside panels
+ * Callers add a width, alignment or smaller text as needed
+ */
+export const FIELD_CLASSES = `
+    px-2 py-1 bg-white/5 border border-white/10
+    rounded-md text-white font-mono text-sm
+    focus:border-[var(--color-primary)]
+`.trim().replace(/\s+/g, ' ');
+
+/**
+ * Create a <select> from [value, label] pairs
+ * @param {Array<[string, string]>} options - Value and label of each option
+ * @param {string} value - Initially selected value
+ * @param {string} [label] - Accessible name, when the select has no <label>
+ */
+export function createSelect(options, value, label) {
+    const select = document.createElement('select');
+    select.className = FIELD_CLASSES;
+    if (label) select.setAttribute('aria-label', label);
+    setSelectOptions(select, options);
+    select.value = value;
+    return select;
+}
+
+/**
+ * Replace the options of a <select>
+ */
+export function setSelectOptions(select, options) {
+    select.replaceChildren(...options.map(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        option.className = 'bg-[var(--color-bg-secondary)]';
+        return option;
+    }));
+}
@@ -0,0 +1,227 @@
+/* ============================================
+   PROFILE EDITOR - Sound Profile Parameters
+   ============================================ */
+
+import { getAllProfiles, getProfileById, getProfileOverrides, setProfileParam, resetProfileParams } from '../audio/soundProfiles.js';
+import { getProfileSchema, getConfigValue, NOTE_NAMES, NOTE_OCTAVES } from '../audio/profileSchemas.js';
+import { applyProfileEdit } from '../audio/audioController.js';
+import { getCurrentProfile } from './profilePicker.js';
+import { createPanel, createPanelSection, createPanelButton, createSelect } from './panel.js';
+
+let panelBody = null;
+let editedProfileId = null;
+
+/**
+ * Format a parameter value for display next to its slider
+ */
+function formatValue(param, value) {
+    return param.unit ? `${value} ${param.unit}` : String(value);
+}
+
+/**
+ * Store a new value and let the sound catch up
+ */
+function commitParam(profile, param, value) {
+    if (setProfileParam(profile.id, param.path, value) === undefined) return;
+
+    applyProfileEdit(profile, param.path).catch((error) => {
+        console.warn('Failed to apply profile edit:', error);
+    });
+    renderEditor();
+}
+
+/**
+ * Create the label for a parameter, marked when it differs from the default
+ */
+function createLabel(param, isEdited) {
+    const label = document.createElement('span');
+    label.className = isEdited ? 'text-[var(--color-primary)]' : '';
+    label.textContent = isEdited ? `${param.label} •` : param.label;
+    label.title = isEdited ? 'Changed from the default' : '';
+    return label;
+}
+
+/**
+ * Create a slider with its current value
+ */
+function createRangeField(profile, param, value, isEdited) {
+    const row = document.createElement('label');
+    row.className = 'flex flex-col gap-1 text-sm text-white/70';
+
+    const header = document.createElement('div');
+    header.className = 'flex justify-between gap-4';
+    const valueText = document.createElement('span');
+    valueText.className = 'font-mono text-xs text-white/50';
+    valueText.textContent = formatValue(param, value);
+    header.append(createLabel(param, isEdited), valueText);
+
+    const input = document.createElement('input');
+    input.type = 'range';
+    input.min = param.min;
+    input.max = param.max;
+    input.step = param.step;
+    input.value = value;
+    input.className = 'w-full accent-[var(--color-primary)]';
+    input.addEventListener('input', () => {
+        valueText.textContent = formatValue(param, input.value);
+    });
+    input.addEventListener('change', () => commitParam(profile, param, Number(input.value)));
+
+    row.append(header, input);
+    return row;
+}
+
+/**
+ * Create an on/off switch
+ */
+function createToggleField(profile, param, value, isEdited) {
+    const row = document.createElement('label');
+    row.className = 'flex items-center justify-between gap-4 text-sm text-white/70 cursor-pointer';
+
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.checked = value !== false;
+    input.className = 'w-4 h-4 accent-[var(--color-primary)]';
+    input.addEventListener('change', () => commitParam(profile, param, input.checked));
+
+    row.append(createLabel(param, isEdited), input);
+    return row;
+}
+
+/**
+ * Create a dropdown of fixed choices
+ */
+function createSelectField(profile, param, value, isEdited) {
+    const row = document.createElement('label');
+    row.className = 'flex items-center justify-between gap-4 text-sm text-white/70';
+
+    const select = createSelect(param.options, value);
+    select.classList.add('w-28');
+    select.addEventListener('change', () => commitParam(profile, param, select.value));
+
+    row.append(createLabel(param, isEdited), select);
+    return row;
+}
+
+/**
+ * Create the note picker: the notes in use, each removable, and a way to add one
+ */
+function createNotesField(profile, param, notes, isEdited) {
+    const field = document.createElement('div');
+    field.className = 'flex flex-col gap-2 text-sm text-white/70';
+    field.appendChild(createLabel(param, isEdited));
+
+    const chips = document.createElement('div');
+    chips.className = 'flex flex-wrap gap-1';
+    notes.forEach((note) => {
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = `
+            px-2 py-0.5 rounded-md border border-white/10 bg-white/5
+            font-mono text-xs text-white transition-all duration-200
+            hover:border-red-400/60 hover:text-red-300
+            disabled:opacity-50 disabled:cursor-not-allowed
+        `.trim().replace(/\s+/g, ' ');
+        chip.textContent = `${note} ✕`;
+        chip.setAttribute('aria-label', `Remove ${note}`);
+        // A profile needs at least one note to play
+        chip.disabled = notes.length <= 1;
+        chip.addEventListener('click', () => {
+            commitParam(profile, param, notes.filter((other) => other !== note));
+        });
+        chips.appendChild(chip);
+    });
+
+    const addRow = document.createElement('div');
+    addRow.className = 'flex gap-2';
+    const available = NOTE_OCTAVES
+        .flatMap((octave) => NOTE_NAMES.map((name) => `${name}${octave}`))
+        .filter((note) => !notes.includes(note));
+    // Start on the first note not in use - the list skips those
+    const select = createSelect(available.map((note) => [note, note]), available[0], 'Note to add');
+    select.classList.add('flex-1');
+    const addBtn = createPanelButton('Add note', () => {
+        const note = select.value;
+        if (!note || notes.includes(note)) return;
+        commitParam(profile, param, [...notes, note]);
+    });
+    addBtn.disabled = select.options.length === 0;
+    select.disabled = addBtn.disabled;
+    addRow.append(select, addBtn);
+
+    field.append(chips, addRow);
+    return field;
+}
+
+const FIELD_RENDERERS = {
+    range: createRangeField,
+    toggle: createToggleField,
+    select: createSelectField,
+    notes: createNotesField
+};
+
+/**
+ * Create the dropdown choosing which profile to edit
+ */
+function createProfileSelect(profile) {
+    const select = createSelect(
+        getAllProfiles().map((option) => [option.id, `${option.icon} ${option.name}`]),
+        profile.id,
+        'Profile to edit'
+    );
+    select.classList.add('w-full');
+    select.addEventListener('change', () => {
+        editedProfileId = select.value;
+        renderEditor();
+    });
+    return select;
+}
+
+/**
+ * Render the controls for the profile being edited
+ */
+function renderEditor() {
+    const profile = getProfileById(editedProfileId) || getCurrentProfile();
+    const overrides = getProfileOverrides(profile.id);
+    panelBody.replaceChildren();
+
+    const profileSection = createPanelSection('Profile');
+    const description = document.createElement('p');
+    description.className = 'text-xs text-white/40';
+    description.textContent = 'Changes are heard right away wherever this profile is playing, mixer layers included';
+    profileSection.append(createProfileSelect(profile), description);
+
+    const paramSection = createPanelSection('Parameters');
+    getProfileSchema(profile.config).forEach((param) => {
+        const value = getConfigValue(profile.config, param.path);
+        paramSection.appendChild(FIELD_RENDERERS[param.kind](profile, param, value, param.path in overrides));
+    });
+
+    const resetBtn = createPanelButton('Reset to defaults', () => {
+        resetProfileParams(profile.id);
+        applyProfileEdit(profile).catch((error) => {
+            console.warn('Failed to apply profile reset:', error);
+        });
+        renderEditor();
+    });
+    resetBtn.disabled = Object.keys(overrides).length === 0;
+    paramSection.appendChild(resetBtn);
+
+    panelBody.append(profileSection, paramSection);
+}
+
+/**
+ * Initialize the sound profile editor panel
+ */
+export function initProfileEditor() {
+    const { body } = createPanel({
+        id: 'profileEditorPanel',
+        title: 'Sound editor',
+        icon: '🎛️',
+        onOpen: () => {
+            editedProfileId = getCurrentProfile().id;
+            renderEditor();
+        }
+    });
+    panelBody = body;
+}
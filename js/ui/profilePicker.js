@@ -131,3 +131,11 @@ export function selectProfileByIndex(index) {
         }
     }
 }
+
+/**
+ * Select profile by id (for restoring a saved session)
+ */
+export function selectProfileById(id) {
+    const index = getAllProfiles().findIndex((profile) => profile.id === id);
+    selectProfileByIndex(index);
+}
@@ -0,0 +1,121 @@
+/* ============================================
+   PROFILE REPORT PANEL - Sound Profile Comparison
+   ============================================ */
+
+import { getSessions } from './sessionHistory.js';
+import { getProfileReport, getBestProfile } from '../stats/profileReport.js';
+import { createPanel, createPanelSection } from './panel.js';
+
+const RECOMMENDATION_TIMES = [
+    ['morning', '☀️ Mornings'],
+    ['afternoon', '🌤️ Afternoons']
+];
+
+let panelBody = null;
+
+/**
+ * Format a 0-1 rate as a whole percentage
+ */
+function formatRate(rate) {
+    return rate === null ? '-' : `${Math.round(rate * 100)}%`;
+}
+
+/**
+ * Create the "best profile for ..." recommendation line
+ */
+function createRecommendation(label, best) {
+    const row = document.createElement('div');
+    row.className = 'flex justify-between gap-4 p-3 rounded-lg bg-white/5 border border-white/10 text-sm';
+
+    const name = document.createElement('span');
+    name.className = 'text-white/60';
+    name.textContent = label;
+
+    const value = document.createElement('span');
+    value.className = 'text-right text-white';
+    if (!best) {
+        value.className = 'text-right text-white/40 text-xs';
+        value.textContent = 'Not enough sessions yet';
+    } else {
+        const { profile, averageRating, completionRate, sessions } = best.summary;
+        const evidence = best.basis === 'rating'
+            ? `${averageRating.toFixed(1)} ★`
+            : `${formatRate(completionRate)} completed`;
+        value.textContent = `${profile.icon} ${profile.name} · ${evidence} over ${sessions} sessions`;
+    }
+
+    row.append(name, value);
+    return row;
+}
+
+/**
+ * Create the card comparing one profile's claim with its results
+ */
+function createProfileCard(summary) {
+    const { profile } = summary;
+
+    const card = document.createElement('div');
+    card.className = 'flex flex-col gap-1 p-3 rounded-lg bg-white/5 border border-white/10';
+
+    const title = document.createElement('div');
+    title.className = 'flex justify-between gap-4 text-sm';
+    const name = document.createElement('span');
+    name.className = 'text-white';
+    name.textContent = `${profile.icon} ${profile.name}`;
+    const count = document.createElement('span');
+    count.className = 'text-white/50 font-mono text-xs';
+    count.textContent = `${summary.sessions} ${summary.sessions === 1 ? 'session' : 'sessions'} · ${Math.round(summary.minutes)}m`;
+    title.append(name, count);
+
+    // The profile's claim, to hold up against the numbers below
+    const claim = document.createElement('p');
+    claim.className = 'text-xs text-white/40 italic';
+    claim.textContent = profile.description;
+
+    const metrics = document.createElement('p');
+    metrics.className = 'text-xs font-mono text-white/70';
+    metrics.textContent = summary.sessions === 0
+        ? 'No focus sessions yet'
+        : [
+            `${formatRate(summary.completionRate)} completed`,
+            `${formatRate(summary.abandonRate)} abandoned`,
+            summary.averagePauses === null ? null : `${summary.averagePauses.toFixed(1)} pauses`,
+            summary.averageRating === null ? null : `${summary.averageRating.toFixed(1)} ★ (${summary.ratedCount})`
+        ].filter(Boolean).join(' · ');
+
+    card.append(title, claim, metrics);
+    return card;
+}
+
+/**
+ * Render the report from focus sessions in history
+ */
+async function renderReport() {
+    const sessions = await getSessions({ type: 'work' });
+    panelBody.replaceChildren();
+
+    const bestSection = createPanelSection('Your best profile');
+    RECOMMENDATION_TIMES.forEach(([timeOfDay, label]) => {
+        bestSection.appendChild(createRecommendation(label, getBestProfile(sessions, timeOfDay)));
+    });
+
+    const compareSection = createPanelSection('All profiles');
+    getProfileReport(sessions).forEach((summary) => {
+        compareSection.appendChild(createProfileCard(summary));
+    });
+
+    panelBody.append(bestSection, compareSection);
+}
+
+/**
+ * Initialize the sound profile report panel
+ */
+export function initProfileReportPanel() {
+    const { body } = createPanel({
+        id: 'profileReportPanel',
+        title: 'Sound report',
+        icon: '🎧',
+        onOpen: renderReport
+    });
+    panelBody = body;
+}
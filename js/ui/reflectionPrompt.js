@@ -0,0 +1,136 @@
+/* ============================================
+   REFLECTION PROMPT - Rate a Finished Session
+   ============================================ */
+
+import { updateSession } from './sessionHistory.js';
+import { createPanelButton } from './panel.js';
+
+const RATINGS = [
+    [1, 'Scattered'],
+    [2, 'Distracted'],
+    [3, 'Okay'],
+    [4, 'Focused'],
+    [5, 'Deep focus']
+];
+const MAX_NOTE_LENGTH = 280;
+
+let card = null;
+
+/**
+ * Remove the prompt if it is showing
+ */
+export function hideReflectionPrompt() {
+    card?.remove();
+    card = null;
+}
+
+/**
+ * Create the 1-5 rating buttons
+ * @param {Function} onChange - Called with the chosen rating
+ */
+function createRatingButtons(onChange) {
+    const group = document.createElement('div');
+    group.className = 'flex gap-1.5 justify-center';
+    group.setAttribute('role', 'radiogroup');
+    group.setAttribute('aria-label', 'Focus quality');
+
+    const buttons = RATINGS.map(([rating, label]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `
+            w-9 h-9 rounded-md border border-white/10 bg-white/5
+            text-white/70 font-mono text-sm transition-all duration-200
+            hover:bg-white/10 hover:text-white
+            aria-checked:border-[var(--color-primary)] aria-checked:text-[var(--color-primary)]
+        `.trim().replace(/\s+/g, ' ');
+        button.textContent = rating;
+        button.title = label;
+        button.setAttribute('role', 'radio');
+        button.setAttribute('aria-checked', 'false');
+        button.setAttribute('aria-label', `${rating} - ${label}`);
+        button.addEventListener('click', () => {
+            buttons.forEach((other) => other.setAttribute('aria-checked', other === button ? 'true' : 'false'));
+            onChange(rating);
+        });
+        return button;
+    });
+
+    group.append(...buttons);
+    return group;
+}
+
+/**
+ * Ask for a focus rating and a short note after a focus session
+ * Nothing is stored if the prompt is skipped
+ * @param {Promise<string|null>} saved - Key of the session's history entry
+ */
+export function showReflectionPrompt(saved) {
+    hideReflectionPrompt();
+
+    let rating = null;
+
+    card = document.createElement('div');
+    card.className = `
+        fixed bottom-28 sm:bottom-32 left-1/2 -translate-x-1/2 z-[1001]
+        w-[calc(100vw-3rem)] max-w-sm flex flex-col gap-3 p-4
+        bg-[var(--color-bg-secondary)]/95 backdrop-blur-md
+        border border-white/10 rounded-lg text-white
+    `.trim().replace(/\s+/g, ' ');
+    card.setAttribute('role', 'dialog');
+    card.setAttribute('aria-label', 'How focused were you?');
+
+    const heading = document.createElement('p');
+    heading.className = 'text-xs font-mono uppercase tracking-wider text-white/60 text-center';
+    heading.textContent = 'How focused were you?';
+
+    const note = document.createElement('input');
+    note.type = 'text';
+    note.maxLength = MAX_NOTE_LENGTH;
+    note.placeholder = 'Note (optional)';
+    note.setAttribute('aria-label', 'Session note');
+    note.className = `
+        px-3 py-1.5 bg-white/5 border border-white/10 rounded-md
+        text-white text-sm font-mono placeholder:text-white/30
+        focus:border-[var(--color-primary)]
+    `.trim().replace(/\s+/g, ' ');
+
+    const actions = document.createElement('div');
+    actions.className = 'flex gap-2 justify-end';
+
+    const saveBtn = createPanelButton('Save', async () => {
+        const trimmed = note.value.trim();
+        hideReflectionPrompt();
+        const key = await saved;
+        if (key) {
+            await updateSession(key, {
+                ...(rating ? { rating } : {}),
+                ...(trimmed ? { note: trimmed } : {})
+            });
+        }
+    });
+    saveBtn.disabled = true;
+
+    const ratingButtons = createRatingButtons((value) => {
+        rating = value;
+        saveBtn.disabled = false;
+    });
+
+    note.addEventListener('input', () => {
+        saveBtn.disabled = !rating && !note.value.trim();
+    });
+    note.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && !saveBtn.disabled) saveBtn.click();
+    });
+
+    actions.append(createPanelButton('Skip', hideReflectionPrompt), saveBtn);
+    card.append(heading, ratingButtons, note, actions);
+
+    card.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            e.stopPropagation();
+            hideReflectionPrompt();
+        }
+    });
+
+    document.body.appendChild(card);
+}
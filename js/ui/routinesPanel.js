@@ -0,0 +1,238 @@
+/* ============================================
+   ROUTINES PANEL - Pick & Edit Focus Routines
+   ============================================ */
+
+import {
+    getAllRoutines,
+    getActiveRoutine,
+    setActiveRoutine,
+    saveRoutine,
+    deleteRoutine,
+    PHASE_TYPES,
+    PHASE_LABELS
+} from '../timer/routines.js';
+import { getAllProfiles, getProfileById } from '../audio/soundProfiles.js';
+import { createPanel, createPanelSection, createPanelButton, createSelect, FIELD_CLASSES } from './panel.js';
+
+let panelBody = null;
+let onRoutinesChange = null;
+
+/**
+ * Describe a routine's phases in one line, e.g. "52m Focus → 17m Break"
+ */
+function summarizePhases(phases) {
+    return phases
+        .map((phase) => {
+            const profile = phase.profileId ? getProfileById(phase.profileId) : null;
+            return `${phase.minutes}m ${PHASE_LABELS[phase.type]}${profile ? ` ${profile.icon}` : ''}`;
+        })
+        .join(' → ');
+}
+
+/**
+ * Render the list of routines
+ */
+function renderList() {
+    panelBody.replaceChildren();
+
+    const activeId = getActiveRoutine().id;
+    const section = createPanelSection('Choose a routine');
+
+    getAllRoutines().forEach((routine) => {
+        const isActive = routine.id === activeId;
+
+        const row = document.createElement('div');
+        row.className = `
+            flex flex-col gap-2 p-3 rounded-lg border
+            ${isActive ? 'border-[var(--color-primary)] bg-[var(--color-primary)]/10' : 'border-white/10 bg-white/5'}
+        `.trim().replace(/\s+/g, ' ');
+
+        const name = document.createElement('div');
+        name.className = 'text-sm font-semibold text-white';
+        name.textContent = isActive ? `${routine.name} (active)` : routine.name;
+
+        const summary = document.createElement('div');
+        summary.className = 'text-xs font-mono text-white/50';
+        summary.textContent = summarizePhases(routine.phases);
+
+        const actions = document.createElement('div');
+        actions.className = 'flex gap-2 flex-wrap';
+
+        const useBtn = createPanelButton('Use', () => {
+            setActiveRoutine(routine.id);
+            onRoutinesChange?.();
+            renderList();
+        });
+        useBtn.disabled = isActive;
+        actions.appendChild(useBtn);
+
+        if (!routine.builtIn) {
+            actions.appendChild(createPanelButton('Edit', () => renderEditor(routine)));
+        }
+
+        actions.appendChild(createPanelButton('Duplicate', () => {
+            renderEditor({ name: `${routine.name} (copy)`, phases: routine.phases });
+        }));
+
+        if (!routine.builtIn) {
+            actions.appendChild(createPanelButton('Delete', () => {
+                deleteRoutine(routine.id);
+                onRoutinesChange?.();
+                renderList();
+            }));
+        }
+
+        row.appendChild(name);
+        row.appendChild(summary);
+        row.appendChild(actions);
+        section.appendChild(row);
+    });
+
+    panelBody.appendChild(section);
+
+    const footer = document.createElement('div');
+    footer.className = 'flex justify-end';
+    footer.appendChild(createPanelButton('New routine', () => {
+        renderEditor({
+            name: '',
+            phases: [
+                { type: PHASE_TYPES.WORK, minutes: 25 },
+                { type: PHASE_TYPES.BREAK, minutes: 5 }
+            ]
+        });
+    }));
+    panelBody.appendChild(footer);
+}
+
+/**
+ * Render the routine editor
+ * @param {Object} routine - Routine to edit (without id for a new one)
+ */
+function renderEditor(routine) {
+    panelBody.replaceChildren();
+
+    const phases = routine.phases.map((phase) => ({ ...phase }));
+
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.placeholder = 'Routine name';
+    nameInput.maxLength = 40;
+    nameInput.value = routine.name;
+    nameInput.className = `${FIELD_CLASSES} w-full`;
+    nameInput.setAttribute('aria-label', 'Routine name');
+
+    const phaseSection = createPanelSection('Phases');
+    const phaseList = document.createElement('div');
+    phaseList.className = 'flex flex-col gap-2';
+    phaseSection.appendChild(phaseList);
+
+    const typeOptions = Object.values(PHASE_TYPES).map((type) => [type, PHASE_LABELS[type]]);
+    const profileOptions = [
+        ['', 'Keep current sound'],
+        ...getAllProfiles().map((profile) => [profile.id, `${profile.icon} ${profile.name}`])
+    ];
+
+    const renderPhases = () => {
+        phaseList.replaceChildren();
+
+        phases.forEach((phase, index) => {
+            const row = document.createElement('div');
+            row.className = 'flex gap-2 items-center flex-wrap';
+
+            const typeSelect = createSelect(typeOptions, phase.type, `Phase ${index + 1} type`);
+            typeSelect.addEventListener('change', () => {
+                phase.type = typeSelect.value;
+            });
+
+            const minutesInput = document.createElement('input');
+            minutesInput.type = 'number';
+            minutesInput.min = 1;
+            minutesInput.max = 240;
+            minutesInput.value = phase.minutes;
+            minutesInput.className = `${FIELD_CLASSES} w-16 text-right`;
+            minutesInput.setAttribute('aria-label', `Phase ${index + 1} minutes`);
+            minutesInput.addEventListener('change', () => {
+                const minutes = parseInt(minutesInput.value);
+                phase.minutes = Number.isNaN(minutes) ? phase.minutes : Math.max(1, Math.min(240, minutes));
+                minutesInput.value = phase.minutes;
+            });
+
+            const profileSelect = createSelect(profileOptions, phase.profileId || '', `Phase ${index + 1} sound profile`);
+            profileSelect.addEventListener('change', () => {
+                phase.profileId = profileSelect.value || undefined;
+            });
+
+            const upBtn = createPanelButton('↑', () => {
+                [phases[index - 1], phases[index]] = [phases[index], phases[index - 1]];
+                renderPhases();
+            });
+            upBtn.disabled = index === 0;
+            upBtn.setAttribute('aria-label', 'Move phase up');
+
+            const downBtn = createPanelButton('↓', () => {
+                [phases[index + 1], phases[index]] = [phases[index], phases[index + 1]];
+                renderPhases();
+            });
+            downBtn.disabled = index === phases.length - 1;
+            downBtn.setAttribute('aria-label', 'Move phase down');
+
+            const removeBtn = createPanelButton('✕', () => {
+                phases.splice(index, 1);
+                renderPhases();
+            });
+            removeBtn.disabled = phases.length === 1;
+            removeBtn.setAttribute('aria-label', 'Remove phase');
+
+            row.append(typeSelect, minutesInput, profileSelect, upBtn, downBtn, removeBtn);
+            phaseList.appendChild(row);
+        });
+    };
+
+    renderPhases();
+
+    const error = document.createElement('p');
+    error.className = 'hidden text-xs text-red-400';
+    error.setAttribute('role', 'alert');
+
+    const footer = document.createElement('div');
+    footer.className = 'flex gap-2 justify-between';
+
+    footer.appendChild(createPanelButton('Add phase', () => {
+        phases.push({ type: PHASE_TYPES.WORK, minutes: 25 });
+        renderPhases();
+    }));
+
+    const saveActions = document.createElement('div');
+    saveActions.className = 'flex gap-2';
+    saveActions.appendChild(createPanelButton('Cancel', renderList));
+    saveActions.appendChild(createPanelButton('Save', () => {
+        const saved = saveRoutine({ ...routine, name: nameInput.value, phases });
+        if (!saved) {
+            error.textContent = 'Give the routine a name and at least one phase.';
+            error.classList.remove('hidden');
+            return;
+        }
+        onRoutinesChange?.();
+        renderList();
+    }));
+    footer.appendChild(saveActions);
+
+    panelBody.append(nameInput, phaseSection, error, footer);
+    nameInput.focus();
+}
+
+/**
+ * Initialize the routines panel
+ * @param {Function} onChange - Called when the active routine or its phases change
+ */
+export function initRoutinesPanel(onChange) {
+    onRoutinesChange = onChange;
+
+    const { body } = createPanel({
+        id: 'routinesPanel',
+        title: 'Routines',
+        icon: '🔁',
+        onOpen: renderList
+    });
+    panelBody = body;
+}
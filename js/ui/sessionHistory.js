@@ -2,47 +2,138 @@
    SESSION HISTORY - Track completed sessions
    ============================================ */
 
-const STORAGE_KEY = 'letsfocus_sessions';
-const MAX_SESSIONS = 100;
+import {
+    putSessions,
+    patchSession,
+    querySessions,
+    getSessionProfiles,
+    removeSession,
+    removeAllSessions,
+    getSessionKey,
+    toDayKey
+} from '../data/sessionDb.js';
+
+export { getSessionKey, toDayKey };
+
+const listeners = [];
+
+/**
+ * Register a listener called after sessions are saved, changed or deleted
+ */
+export function onSessionsChange(listener) {
+    listeners.push(listener);
+}
 
 /**
- * Get session history from localStorage
+ * Tell listeners that history changed
  */
-function getSessionHistory() {
+function notifyListeners() {
+    listeners.forEach((listener) => listener());
+}
+
+/**
+ * Get session history, newest first
+ * @param {Object} [query] - { from, to, type, profile } filters, days as YYYY-MM-DD
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getSessions(query) {
     try {
-        const data = localStorage.getItem(STORAGE_KEY);
-        return data ? JSON.parse(data) : [];
+        return await querySessions(query);
     } catch (error) {
         console.warn('Failed to load session history:', error);
         return [];
     }
 }
 
+/**
+ * Get the sound profiles that appear in history
+ * @returns {Promise<Array<string>>}
+ */
+export async function getHistoryProfiles() {
+    try {
+        return await getSessionProfiles();
+    } catch (error) {
+        console.warn('Failed to load session profiles:', error);
+        return [];
+    }
+}
+
+/**
+ * Get the local calendar day of a session as YYYY-MM-DD
+ */
+export function getSessionDay(session) {
+    return session.day || toDayKey(new Date(session.timestamp));
+}
+
+/**
+ * Delete one session from history
+ * @param {string} key - Key from getSessionKey()
+ */
+export async function deleteSession(key) {
+    try {
+        await removeSession(key);
+        notifyListeners();
+    } catch (error) {
+        console.warn('Failed to delete session:', error);
+    }
+}
+
+/**
+ * Delete all session history
+ */
+export async function clearSessions() {
+    try {
+        await removeAllSessions();
+        notifyListeners();
+    } catch (error) {
+        console.warn('Failed to clear session history:', error);
+    }
+}
+
 /**
  * Save session to history
  * @param {string} type - 'work' or 'break'
- * @param {number} duration - Duration in minutes
+ * @param {number} duration - Minutes actually spent on the clock
  * @param {string} profile - Sound profile name
+ * @param {Object} [details] - Extra fields stored with the entry: outcome,
+ *   plannedDuration, pausedDuration, pauseCount, startedAt, endedAt, mode,
+ *   intent, tags, taskId, taskTitle, distractionCount, awayDuration (rating,
+ *   note, endAction and extendedBy are added afterwards)
+ * @returns {Promise<string|null>} Key of the saved entry, or null if saving failed
  */
-export function saveSession(type, duration, profile) {
+export async function saveSession(type, duration, profile, details = {}) {
+    // A session that ran out while the app was closed belongs to when it
+    // ended, not to when it was saved
+    const endedAt = details.endedAt ? new Date(details.endedAt) : new Date();
+    const session = {
+        type,
+        duration,
+        profile,
+        ...details,
+        timestamp: endedAt.toISOString(),
+        date: endedAt.toLocaleDateString()
+    };
+
     try {
-        const sessions = getSessionHistory();
-
-        sessions.unshift({
-            type,
-            duration,
-            profile,
-            timestamp: new Date().toISOString(),
-            date: new Date().toLocaleDateString()
-        });
-
-        // Keep only last MAX_SESSIONS
-        if (sessions.length > MAX_SESSIONS) {
-            sessions.length = MAX_SESSIONS;
-        }
-
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(sessions));
+        await putSessions([session]);
+        notifyListeners();
+        return getSessionKey(session);
     } catch (error) {
         console.warn('Failed to save session:', error);
+        return null;
+    }
+}
+
+/**
+ * Add details to a saved session, e.g. a rating given afterwards
+ * @param {string} key - Key from getSessionKey()
+ * @param {Object} changes - Fields to set
+ */
+export async function updateSession(key, changes) {
+    try {
+        await patchSession(key, changes);
+        notifyListeners();
+    } catch (error) {
+        console.warn('Failed to update session:', error);
     }
 }
@@ -0,0 +1,232 @@
+/* ============================================
+   SETTINGS PANEL - User Preferences UI (Tailwind)
+   ============================================ */
+
+import { getSettings, updateSettings, resetSettings, onSettingsChange, SETTING_LIMITS } from '../settings.js';
+import { createPanel, createPanelSection, createPanelButton, createSelect, FIELD_CLASSES } from './panel.js';
+import { FLOW_BREAK_METHODS } from '../timer/flowBreak.js';
+import { GOAL_TYPES } from '../stats/dailyGoal.js';
+
+const INPUT_CLASSES = `${FIELD_CLASSES} w-20 text-right`;
+
+/**
+ * Settings shown in the panel, grouped into sections
+ */
+const SECTIONS = [
+    {
+        title: 'Pomodoro',
+        fields: [
+            { key: 'focusMinutes', label: 'Focus length (min)', type: 'number', ...SETTING_LIMITS.focusMinutes },
+            { key: 'shortBreakMinutes', label: 'Short break (min)', type: 'number', ...SETTING_LIMITS.shortBreakMinutes },
+            { key: 'longBreakMinutes', label: 'Long break (min)', type: 'number', ...SETTING_LIMITS.longBreakMinutes },
+            { key: 'sessionsBeforeLongBreak', label: 'Sessions before long break', type: 'number', ...SETTING_LIMITS.sessionsBeforeLongBreak },
+            { key: 'extendMinutes', label: 'Extend a finished session by (min)', type: 'number', ...SETTING_LIMITS.extendMinutes }
+        ]
+    },
+    {
+        title: 'Auto-cycle',
+        fields: [
+            { key: 'autoCycle', label: 'Start breaks and focus blocks automatically', type: 'toggle' },
+            { key: 'autoCycleCount', label: 'Cycles to run', type: 'number', ...SETTING_LIMITS.autoCycleCount },
+            { key: 'autoStartDelay', label: 'Countdown before each phase (s)', type: 'number', ...SETTING_LIMITS.autoStartDelay }
+        ]
+    },
+    {
+        title: 'Auto-pause when away',
+        fields: [
+            { key: 'autoPause', label: 'Pause when the page is hidden or idle', type: 'toggle' },
+            { key: 'autoPauseFocusMinutes', label: 'During focus, after (min)', type: 'number', ...SETTING_LIMITS.autoPauseFocusMinutes },
+            { key: 'autoPauseBreakMinutes', label: 'During breaks, after (min)', type: 'number', ...SETTING_LIMITS.autoPauseBreakMinutes }
+        ]
+    },
+    {
+        title: 'Flow mode breaks',
+        fields: [
+            {
+                key: 'flowBreakMethod',
+                label: 'Earned break',
+                type: 'select',
+                options: [
+                    [FLOW_BREAK_METHODS.RATIO, 'Ratio'],
+                    [FLOW_BREAK_METHODS.TIERS, 'Tiers']
+                ]
+            },
+            { key: 'flowBreakRatio', label: 'Focus minutes per break minute', type: 'number', ...SETTING_LIMITS.flowBreakRatio },
+            { key: 'flowBreakTiers', label: 'Tiers (focus:break, ..., longer)', type: 'text' }
+        ]
+    },
+    {
+        title: 'Sound',
+        fields: [
+            { key: 'crossfadeSeconds', label: 'Crossfade between profiles (s)', type: 'number', ...SETTING_LIMITS.crossfadeSeconds },
+            { key: 'fadeInSeconds', label: 'Fade in on start (s)', type: 'number', ...SETTING_LIMITS.fadeInSeconds },
+            { key: 'fadeOutSeconds', label: 'Fade out on pause, stop and session end (s)', type: 'number', ...SETTING_LIMITS.fadeOutSeconds },
+            { key: 'windDown', label: 'Wind the sound down over the last minute of focus', type: 'toggle' }
+        ]
+    },
+    {
+        title: 'Daily goal',
+        fields: [
+            {
+                key: 'dailyGoalType',
+                label: 'Goal',
+                type: 'select',
+                options: [
+                    [GOAL_TYPES.OFF, 'Off'],
+                    [GOAL_TYPES.MINUTES, 'Focus minutes'],
+                    [GOAL_TYPES.SESSIONS, 'Focus sessions']
+                ]
+            },
+            { key: 'dailyGoalMinutes', label: 'Minutes per day', type: 'number', ...SETTING_LIMITS.dailyGoalMinutes, step: 5 },
+            { key: 'dailyGoalSessions', label: 'Sessions per day', type: 'number', ...SETTING_LIMITS.dailyGoalSessions }
+        ]
+    },
+    {
+        title: 'Reflection',
+        fields: [
+            { key: 'reflectionPrompt', label: 'Ask for a focus rating after each focus session', type: 'toggle' },
+            { key: 'trackDistractions', label: 'Track tab switches during focus sessions', type: 'toggle' }
+        ]
+    }
+];
+
+const inputs = new Map();
+
+/**
+ * Create a labelled number input bound to a setting
+ */
+function createNumberField(field) {
+    const row = document.createElement('label');
+    row.className = 'flex items-center justify-between gap-4 text-sm text-white/70';
+    row.textContent = field.label;
+
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = field.min;
+    input.max = field.max;
+    input.step = field.step || 1;
+    input.className = INPUT_CLASSES;
+
+    input.addEventListener('change', () => {
+        const parsed = parseFloat(input.value);
+        if (Number.isNaN(parsed)) {
+            input.value = getSettings()[field.key];
+            return;
+        }
+        const value = Math.max(field.min, Math.min(field.max, parsed));
+        updateSettings({ [field.key]: value });
+    });
+
+    row.appendChild(input);
+    inputs.set(field.key, { input, field });
+    return row;
+}
+
+/**
+ * Create a labelled checkbox bound to a setting
+ */
+function createToggleField(field) {
+    const row = document.createElement('label');
+    row.className = 'flex items-center justify-between gap-4 text-sm text-white/70 cursor-pointer';
+    row.textContent = field.label;
+
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.className = 'w-4 h-4 accent-[var(--color-primary)]';
+
+    input.addEventListener('change', () => {
+        updateSettings({ [field.key]: input.checked });
+    });
+
+    row.appendChild(input);
+    inputs.set(field.key, { input, field });
+    return row;
+}
+
+/**
+ * Create a labelled dropdown bound to a setting
+ */
+function createSelectField(field) {
+    const row = document.createElement('label');
+    row.className = 'flex items-center justify-between gap-4 text-sm text-white/70';
+    row.textContent = field.label;
+
+    const select = createSelect(field.options, getSettings()[field.key]);
+    select.classList.add('w-28');
+
+    select.addEventListener('change', () => {
+        updateSettings({ [field.key]: select.value });
+    });
+
+    row.appendChild(select);
+    inputs.set(field.key, { input: select, field });
+    return row;
+}
+
+/**
+ * Create a labelled free-text input bound to a setting
+ */
+function createTextField(field) {
+    const row = document.createElement('label');
+    row.className = 'flex flex-col gap-1 text-sm text-white/70';
+    row.textContent = field.label;
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = `${FIELD_CLASSES} w-full`;
+
+    input.addEventListener('change', () => {
+        updateSettings({ [field.key]: input.value.trim() });
+    });
+
+    row.appendChild(input);
+    inputs.set(field.key, { input, field });
+    return row;
+}
+
+const FIELD_RENDERERS = {
+    number: createNumberField,
+    toggle: createToggleField,
+    select: createSelectField,
+    text: createTextField
+};
+
+/**
+ * Reflect the stored settings in the inputs
+ */
+function renderValues(settings) {
+    inputs.forEach(({ input, field }) => {
+        if (field.type === 'toggle') {
+            input.checked = Boolean(settings[field.key]);
+        } else {
+            input.value = settings[field.key];
+        }
+    });
+}
+
+/**
+ * Initialize the settings panel
+ */
+export function initSettingsPanel() {
+    const { body } = createPanel({
+        id: 'settingsPanel',
+        title: 'Settings',
+        icon: '⚙️',
+        onOpen: () => renderValues(getSettings())
+    });
+
+    SECTIONS.forEach((sectionDef) => {
+        const section = createPanelSection(sectionDef.title);
+        sectionDef.fields.forEach((field) => {
+            section.appendChild(FIELD_RENDERERS[field.type](field));
+        });
+        body.appendChild(section);
+    });
+
+    const footer = document.createElement('div');
+    footer.className = 'flex justify-end';
+    footer.appendChild(createPanelButton('Reset to defaults', () => resetSettings()));
+    body.appendChild(footer);
+
+    onSettingsChange(renderValues);
+}
@@ -0,0 +1,264 @@
+/* ============================================
+   STATS PANEL - Productivity Dashboard (Tailwind)
+   ============================================ */
+
+import { getSessions, getSessionDay, toDayKey } from './sessionHistory.js';
+import {
+    getFocusTotals,
+    getOutcomeCounts,
+    getStreaks,
+    getHeatmap,
+    getFocusByIntent,
+    getFocusByTag,
+    getRatingBreakdown,
+    getDistractionStats
+} from '../stats/sessionStats.js';
+import { getSettings } from '../settings.js';
+import { getDailyGoal, getGoalDayCheck, getGoalValue, formatGoalProgress } from '../stats/dailyGoal.js';
+import { createPanel, createPanelSection } from './panel.js';
+
+const HEATMAP_WEEKS = 20;
+const TOP_GROUPS = 5;
+
+// Full class names so Tailwind can find them
+const LEVEL_CLASSES = [
+    'bg-white/5',
+    'bg-[var(--color-primary)]/25',
+    'bg-[var(--color-primary)]/50',
+    'bg-[var(--color-primary)]/75',
+    'bg-[var(--color-primary)]'
+];
+
+let panelBody = null;
+
+/**
+ * Format minutes as hours and minutes, e.g. "2h 05m"
+ */
+function formatDuration(minutes) {
+    const total = Math.round(minutes);
+    if (total < 60) return `${total}m`;
+    return `${Math.floor(total / 60)}h ${String(total % 60).padStart(2, '0')}m`;
+}
+
+/**
+ * Create a grid of labelled numbers
+ * @param {Array<[string, string]>} items - [label, value] pairs
+ */
+function createStatGrid(items) {
+    const grid = document.createElement('div');
+    grid.className = 'grid grid-cols-3 gap-2';
+
+    items.forEach(([label, value]) => {
+        const card = document.createElement('div');
+        card.className = 'flex flex-col gap-1 p-3 rounded-lg bg-white/5 border border-white/10';
+
+        const valueEl = document.createElement('span');
+        valueEl.className = 'text-lg font-mono text-white';
+        valueEl.textContent = value;
+
+        const labelEl = document.createElement('span');
+        labelEl.className = 'text-xs text-white/50';
+        labelEl.textContent = label;
+
+        card.append(valueEl, labelEl);
+        grid.appendChild(card);
+    });
+
+    return grid;
+}
+
+/**
+ * Create the contributions-style calendar heatmap
+ */
+function createHeatmap(sessions) {
+    const grid = document.createElement('div');
+    grid.className = 'grid grid-rows-7 grid-flow-col gap-1 w-fit';
+    grid.setAttribute('role', 'img');
+    grid.setAttribute('aria-label', `Focused minutes per day over the last ${HEATMAP_WEEKS} weeks`);
+
+    getHeatmap(sessions, HEATMAP_WEEKS).flat().forEach((cell) => {
+        const square = document.createElement('div');
+        square.className = `w-3 h-3 rounded-sm ${cell.isFuture ? 'invisible' : LEVEL_CLASSES[cell.level]}`;
+        square.title = `${cell.day}: ${formatDuration(cell.minutes)} focused`;
+        grid.appendChild(square);
+    });
+
+    return grid;
+}
+
+/**
+ * Create a ranked list of focus time per task or tag with relative bars
+ * @param {Array<{ label: string, minutes: number }>} groups - Largest first
+ */
+function createBreakdown(groups) {
+    const list = document.createElement('ul');
+    list.className = 'flex flex-col gap-2';
+
+    const top = groups.slice(0, TOP_GROUPS);
+    const maxMinutes = top[0]?.minutes || 1;
+    top.forEach(({ label, minutes }) => {
+        const item = document.createElement('li');
+        item.className = 'flex flex-col gap-1 text-xs font-mono';
+
+        const row = document.createElement('div');
+        row.className = 'flex justify-between gap-4';
+        const name = document.createElement('span');
+        name.className = 'truncate text-white/80';
+        name.textContent = label;
+        const time = document.createElement('span');
+        time.className = 'text-white/50';
+        time.textContent = formatDuration(minutes);
+        row.append(name, time);
+
+        const bar = document.createElement('div');
+        bar.className = 'h-1 rounded-full bg-[var(--color-primary)]/60';
+        bar.style.width = `${Math.max(2, (minutes / maxMinutes) * 100)}%`;
+
+        item.append(row, bar);
+        list.appendChild(item);
+    });
+
+    return list;
+}
+
+/**
+ * Create a table of average focus ratings, e.g. "Morning  4.2 ★ (12)"
+ * @param {Array<{ label: string, average: number, count: number }>} rows
+ */
+function createRatingTable(title, rows) {
+    const block = document.createElement('div');
+    block.className = 'flex flex-col gap-1 text-xs font-mono';
+
+    const heading = document.createElement('span');
+    heading.className = 'text-white/40';
+    heading.textContent = title;
+    block.appendChild(heading);
+
+    rows.forEach(({ label, average, count }) => {
+        const row = document.createElement('div');
+        row.className = 'flex justify-between gap-4';
+        const name = document.createElement('span');
+        name.className = 'truncate text-white/80';
+        name.textContent = label;
+        const value = document.createElement('span');
+        value.className = 'text-white/60';
+        value.textContent = `${average.toFixed(1)} ★ (${count})`;
+        row.append(name, value);
+        block.appendChild(row);
+    });
+
+    return block;
+}
+
+/**
+ * Create the focus quality section from session ratings
+ */
+function createRatingSection(sessions) {
+    const ratings = getRatingBreakdown(sessions);
+    if (ratings.count === 0) return null;
+
+    const section = createPanelSection(`Focus quality · ${ratings.average.toFixed(1)} ★ average`);
+    const grid = document.createElement('div');
+    grid.className = 'grid grid-cols-1 sm:grid-cols-3 gap-4';
+    grid.append(
+        createRatingTable('Time of day', ratings.byTimeOfDay),
+        createRatingTable('Length', ratings.byDuration),
+        createRatingTable('Sound', ratings.byProfile)
+    );
+    section.appendChild(grid);
+    return section;
+}
+
+/**
+ * Create the distraction score section, if turned on and recorded
+ */
+function createDistractionSection(sessions) {
+    const stats = getSettings().trackDistractions ? getDistractionStats(sessions) : null;
+    if (!stats) return null;
+
+    const section = createPanelSection(`Distraction score · ${stats.sessions} tracked sessions`);
+    section.appendChild(createStatGrid([
+        ['Tab switches per session', stats.perSession.toFixed(1)],
+        ['Focus time spent away', `${Math.round(stats.awayShare * 100)}%`],
+        ['Sessions without a switch', `${Math.round(stats.undistractedRate * 100)}%`]
+    ]));
+    return section;
+}
+
+/**
+ * Render the dashboard from the saved sessions
+ */
+async function renderStats() {
+    // Every stat is about focus time, so only focus sessions are loaded
+    const sessions = await getSessions({ type: 'work' });
+    panelBody.replaceChildren();
+
+    const totals = getFocusTotals(sessions);
+    const outcomes = getOutcomeCounts(sessions);
+    const goal = getDailyGoal();
+    const streaks = getStreaks(sessions, getGoalDayCheck(goal));
+    const finished = outcomes.completed + outcomes.abandoned;
+    const completionRate = finished > 0 ? Math.round((outcomes.completed / finished) * 100) : 0;
+
+    const focusSection = createPanelSection('Focused time');
+    focusSection.appendChild(createStatGrid([
+        ['Today', formatDuration(totals.today)],
+        ['This week', formatDuration(totals.week)],
+        ['This month', formatDuration(totals.month)]
+    ]));
+
+    const sessionSection = createPanelSection('Focus sessions');
+    sessionSection.appendChild(createStatGrid([
+        ['Completed', String(outcomes.completed)],
+        ['Abandoned', String(outcomes.abandoned)],
+        ['Completion rate', `${completionRate}%`]
+    ]));
+
+    // With a daily goal set, only days that met it keep the streak going
+    const streakSection = createPanelSection(goal ? 'Daily streak · goal met' : 'Daily streak');
+    const today = toDayKey(new Date());
+    const todaySessions = sessions.filter((session) => getSessionDay(session) === today);
+    streakSection.appendChild(createStatGrid([
+        ['Current', `${streaks.current} ${streaks.current === 1 ? 'day' : 'days'}`],
+        ['Longest', `${streaks.longest} ${streaks.longest === 1 ? 'day' : 'days'}`],
+        ...(goal ? [['Today', formatGoalProgress({ ...goal, value: getGoalValue(todaySessions, goal.type) })]] : [])
+    ]));
+
+    const heatmapSection = createPanelSection('Activity');
+    const heatmapScroll = document.createElement('div');
+    heatmapScroll.className = 'overflow-x-auto';
+    heatmapScroll.appendChild(createHeatmap(sessions));
+    heatmapSection.appendChild(heatmapScroll);
+
+    panelBody.append(focusSection, sessionSection, streakSection, heatmapSection);
+
+    // Breakdowns only show once sessions have been labelled
+    [
+        ['By task', getFocusByIntent(sessions)],
+        ['By tag', getFocusByTag(sessions)]
+    ].forEach(([title, groups]) => {
+        if (groups.length === 0) return;
+        const section = createPanelSection(title);
+        section.appendChild(createBreakdown(groups));
+        panelBody.appendChild(section);
+    });
+
+    const ratingSection = createRatingSection(sessions);
+    if (ratingSection) panelBody.appendChild(ratingSection);
+
+    const distractionSection = createDistractionSection(sessions);
+    if (distractionSection) panelBody.appendChild(distractionSection);
+}
+
+/**
+ * Initialize the stats panel
+ */
+export function initStatsPanel() {
+    const { body } = createPanel({
+        id: 'statsPanel',
+        title: 'Stats',
+        icon: '📊',
+        onOpen: renderStats
+    });
+    panelBody = body;
+}
@@ -3,12 +3,16 @@
    ============================================ */
 
 let statusElement = null;
+let actionsElement = null;
 
 /**
  * Initialize status display
+ * @param {HTMLElement} element - Status message element
+ * @param {HTMLElement} [actionsContainer] - Container for status action buttons
  */
-export function initStatus(element) {
+export function initStatus(element, actionsContainer = null) {
     statusElement = element;
+    actionsElement = actionsContainer;
 }
 
 /**
@@ -45,3 +49,41 @@ export function updateStatus(message, isActive = false) {
         `.trim().replace(/\s+/g, ' ');
     }
 }
+
+/**
+ * Show action buttons next to the status message
+ * Any action click clears the buttons before running its handler
+ * @param {Array<{label: string, onClick: Function}>} actions
+ */
+export function setStatusActions(actions) {
+    if (!actionsElement) return;
+
+    actionsElement.replaceChildren();
+
+    actions.forEach(({ label, onClick }) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = label;
+        button.className = `
+            px-3 py-1 bg-black/40 backdrop-blur-md
+            border border-primary/60 text-primary
+            text-xs font-mono rounded-md
+            transition-all duration-200
+            hover:bg-primary/20
+        `.trim().replace(/\s+/g, ' ');
+        button.addEventListener('click', () => {
+            clearStatusActions();
+            onClick();
+        });
+        actionsElement.appendChild(button);
+    });
+
+    actionsElement.classList.toggle('hidden', actions.length === 0);
+}
+
+/**
+ * Remove all status action buttons
+ */
+export function clearStatusActions() {
+    setStatusActions([]);
+}
@@ -0,0 +1,198 @@
+/* ============================================
+   TASK LIST - Tasks Beside the Timer (Tailwind)
+   ============================================ */
+
+import {
+    getTasks,
+    getActiveTask,
+    addTask,
+    updateTask,
+    deleteTask,
+    clearDoneTasks,
+    setActiveTask,
+    onTasksChange
+} from '../data/tasks.js';
+import { createToolbarButton, createPanelButton, FIELD_CLASSES } from './panel.js';
+
+const OPEN_STORAGE_KEY = 'letsfocus_tasks_open';
+
+const COMPACT_FIELD_CLASSES = FIELD_CLASSES.replace('text-sm', 'text-xs');
+
+let container = null;
+let list = null;
+let summary = null;
+
+/**
+ * Remember whether the task list is shown
+ */
+function saveOpenState(isOpen) {
+    try {
+        localStorage.setItem(OPEN_STORAGE_KEY, JSON.stringify(isOpen));
+    } catch (error) {
+        console.warn('Failed to save task list state:', error);
+    }
+}
+
+/**
+ * Check whether the task list was left open
+ */
+function loadOpenState() {
+    try {
+        return JSON.parse(localStorage.getItem(OPEN_STORAGE_KEY)) === true;
+    } catch (error) {
+        console.warn('Failed to load task list state:', error);
+        return false;
+    }
+}
+
+/**
+ * Create the row for one task
+ */
+function createTaskRow(task, isActive) {
+    const row = document.createElement('li');
+    row.className = `
+        flex items-center gap-2 px-2 py-1.5 rounded-md border text-xs font-mono
+        ${isActive ? 'border-[var(--color-primary)] bg-[var(--color-primary)]/10' : 'border-white/10 bg-white/5'}
+    `.trim().replace(/\s+/g, ' ');
+
+    const doneBox = document.createElement('input');
+    doneBox.type = 'checkbox';
+    doneBox.checked = task.done;
+    doneBox.className = 'w-3.5 h-3.5 accent-[var(--color-primary)]';
+    doneBox.setAttribute('aria-label', `Mark "${task.title}" done`);
+    doneBox.addEventListener('change', () => updateTask(task.id, { done: doneBox.checked }));
+
+    // Clicking the title makes the task the one pomodoros count against
+    const title = document.createElement('button');
+    title.type = 'button';
+    title.className = `flex-1 text-left truncate ${task.done ? 'line-through text-white/30' : 'text-white/80 hover:text-white'}`;
+    title.textContent = task.title;
+    title.title = isActive ? 'Active task - click to stop counting pomodoros' : 'Count pomodoros against this task';
+    title.disabled = task.done;
+    title.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+    title.addEventListener('click', () => setActiveTask(isActive ? null : task.id));
+
+    const count = document.createElement('span');
+    count.className = task.pomodoros > task.estimate ? 'text-amber-300' : 'text-white/50';
+    count.textContent = `${task.pomodoros}/`;
+
+    const estimate = document.createElement('input');
+    estimate.type = 'number';
+    estimate.min = 1;
+    estimate.max = 20;
+    estimate.value = task.estimate;
+    estimate.className = `${COMPACT_FIELD_CLASSES} w-10 text-right px-1`;
+    estimate.setAttribute('aria-label', `Estimated pomodoros for "${task.title}"`);
+    estimate.addEventListener('change', () => updateTask(task.id, { estimate: estimate.value }));
+
+    const tomato = document.createElement('span');
+    tomato.textContent = '🍅';
+    tomato.setAttribute('aria-hidden', 'true');
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.type = 'button';
+    deleteBtn.className = 'w-5 h-5 rounded text-white/40 hover:text-white hover:bg-white/10 transition-all duration-200';
+    deleteBtn.setAttribute('aria-label', `Delete "${task.title}"`);
+    deleteBtn.textContent = '✕';
+    deleteBtn.addEventListener('click', () => deleteTask(task.id));
+
+    row.append(doneBox, title, count, estimate, tomato, deleteBtn);
+    return row;
+}
+
+/**
+ * Render the tasks and the estimate vs actual summary
+ */
+function renderTasks() {
+    const tasks = getTasks();
+    const activeId = getActiveTask()?.id;
+
+    list.replaceChildren(...tasks.map((task) => createTaskRow(task, task.id === activeId)));
+
+    const done = tasks.filter((task) => task.done);
+    if (done.length === 0) {
+        summary.textContent = tasks.length === 0 ? 'No tasks yet.' : '';
+        return;
+    }
+    const estimated = done.reduce((total, task) => total + task.estimate, 0);
+    const actual = done.reduce((total, task) => total + task.pomodoros, 0);
+    summary.textContent = `${done.length} done · ${actual} 🍅 used of ${estimated} estimated`;
+}
+
+/**
+ * Create the form for adding a task
+ */
+function createAddForm() {
+    const form = document.createElement('form');
+    form.className = 'flex gap-2';
+
+    const titleInput = document.createElement('input');
+    titleInput.type = 'text';
+    titleInput.maxLength = 120;
+    titleInput.placeholder = 'Add a task';
+    titleInput.className = `${COMPACT_FIELD_CLASSES} flex-1 min-w-0`;
+    titleInput.setAttribute('aria-label', 'Task title');
+
+    const estimateInput = document.createElement('input');
+    estimateInput.type = 'number';
+    estimateInput.min = 1;
+    estimateInput.max = 20;
+    estimateInput.value = 1;
+    estimateInput.className = `${COMPACT_FIELD_CLASSES} w-12 text-right`;
+    estimateInput.setAttribute('aria-label', 'Estimated pomodoros');
+    estimateInput.title = 'Estimated pomodoros';
+
+    const addBtn = createPanelButton('Add', () => {});
+    addBtn.type = 'submit';
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        if (addTask(titleInput.value, estimateInput.value)) {
+            titleInput.value = '';
+            estimateInput.value = 1;
+        }
+        titleInput.focus();
+    });
+
+    form.append(titleInput, estimateInput, addBtn);
+    return form;
+}
+
+/**
+ * Initialize the task list beside the timer
+ */
+export function initTaskList() {
+    container = document.getElementById('taskList');
+    if (!container) return;
+
+    const heading = document.createElement('h2');
+    heading.className = 'text-xs font-mono uppercase tracking-wider text-white/50';
+    heading.textContent = '✅ Tasks';
+
+    list = document.createElement('ul');
+    list.className = 'flex flex-col gap-1.5 overflow-y-auto';
+
+    summary = document.createElement('p');
+    summary.className = 'text-xs font-mono text-white/40';
+
+    const footer = document.createElement('div');
+    footer.className = 'flex justify-between items-center gap-2';
+    footer.append(summary, createPanelButton('Clear done', clearDoneTasks));
+
+    container.append(heading, createAddForm(), list, footer);
+
+    const setOpen = (isOpen) => {
+        container.classList.toggle('hidden', !isOpen);
+        container.classList.toggle('flex', isOpen);
+        toggleBtn.setAttribute('aria-expanded', isOpen ? 'true' : 'false');
+        saveOpenState(isOpen);
+    };
+    const toggleBtn = createToolbarButton('Tasks', '✅', () => {
+        setOpen(container.classList.contains('hidden'));
+    });
+    toggleBtn.setAttribute('aria-controls', 'taskList');
+    setOpen(loadOpenState());
+
+    onTasksChange(renderTasks);
+    renderTasks();
+}
@@ -2,23 +2,54 @@
    SERVICE WORKER - Offline support for PWA
    ============================================ */
 
-const CACHE_NAME = 'letsfocus-v1';
+// Bump whenever cached files change, so activate clears the stale cache
+const CACHE_NAME = 'letsfocus-v2';
 const urlsToCache = [
     '/',
     '/index.html',
     '/styles/main.css',
     '/js/main.js',
     '/js/config.js',
+    '/js/settings.js',
     '/js/timer/timerState.js',
     '/js/timer/timerControls.js',
+    '/js/timer/sessionPersistence.js',
+    '/js/timer/routines.js',
+    '/js/timer/flowBreak.js',
     '/js/ui/status.js',
     '/js/ui/profilePicker.js',
     '/js/ui/keyboardShortcuts.js',
     '/js/ui/sessionHistory.js',
+    '/js/ui/panel.js',
+    '/js/ui/settingsPanel.js',
+    '/js/ui/routinesPanel.js',
+    '/js/ui/historyPanel.js',
+    '/js/ui/statsPanel.js',
+    '/js/stats/sessionStats.js',
+    '/js/data/sessionDb.js',
+    '/js/data/sessionExport.js',
+    '/js/data/sessionImport.js',
+    '/js/data/backup.js',
+    '/js/data/intents.js',
+    '/js/ui/intentInput.js',
+    '/js/data/tasks.js',
+    '/js/ui/taskList.js',
+    '/js/ui/reflectionPrompt.js',
+    '/js/stats/profileReport.js',
+    '/js/ui/profileReportPanel.js',
+    '/js/ui/notify.js',
+    '/js/stats/dailyGoal.js',
+    '/js/ui/goalProgress.js',
+    '/js/timer/distractionTracker.js',
+    '/js/timer/idleMonitor.js',
     '/js/audio/audioController.js',
     '/js/audio/profileEngine.js',
     '/js/audio/soundProfiles.js',
+    '/js/audio/profileSchemas.js',
     '/js/audio/volumeController.js',
+    '/js/audio/mixer.js',
+    '/js/ui/mixerPanel.js',
+    '/js/ui/profileEditor.js',
     '/js/lib/tone.js',
     '/manifest.json'
 ];
@@ -90,3 +121,22 @@ self.addEventListener('fetch', (event) => {
             })
     );
 });
+
+// Notification click - forward action buttons to the open app
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+            .then((clientList) => {
+                const client = clientList[0];
+                if (!client) {
+                    return self.clients.openWindow('/');
+                }
+                if (event.action) {
+                    client.postMessage({ type: 'notification-action', action: event.action });
+                }
+                return client.focus();
+            })
+    );
+});